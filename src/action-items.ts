@@ -0,0 +1,255 @@
+import type { ProseMirrorNode } from './types';
+import { convertProseMirrorToMarkdown } from './prosemirror';
+
+export interface ActionItem {
+	text: string;
+	owner: string | null;
+	due: string | null;
+	markdown: string;
+}
+
+export interface ActionItemOptions {
+	headings: string[];
+	attendeeNames: string[];
+	/** Link target for a matched attendee name, defaults to the name itself */
+	resolveOwner?: (name: string) => string;
+	meetingDate: Date;
+}
+
+const LIST_TYPES = ['bulletList', 'orderedList', 'taskList'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+/** Full month names and their usual abbreviations, never any word starting with one */
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+function plainText(node: ProseMirrorNode): string {
+	if (node.type === 'text') return node.text || '';
+	if (node.type === 'mention') return node.attrs?.label || '';
+	return (node.content || []).map(plainText).join('');
+}
+
+function escapeRegExp(text: string): string {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toIsoDate(date: Date): string {
+	const year = date.getFullYear();
+	const month = String(date.getMonth() + 1).padStart(2, '0');
+	const day = String(date.getDate()).padStart(2, '0');
+	return `${year}-${month}-${day}`;
+}
+
+function addDays(date: Date, days: number): Date {
+	const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+	result.setDate(result.getDate() + days);
+	return result;
+}
+
+/**
+ * First "Feb 10" / "10th of February" style date in the text
+ * A lowercase "may" only counts after by/on/until/before/due, since it is
+ * usually the verb.
+ */
+function findMonthDay(text: string): { month: number; day: number } | null {
+	const patterns = [
+		{ regex: new RegExp('\\b' + MONTH_PATTERN + '\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b', 'gi'), month: 1, day: 2 },
+		{ regex: new RegExp('\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?' + MONTH_PATTERN + '(?![a-z])', 'gi'), month: 2, day: 1 },
+	];
+
+	for (const { regex, month, day } of patterns) {
+		let match: RegExpExecArray | null;
+		while ((match = regex.exec(text)) !== null) {
+			const monthName = match[month];
+			if (monthName === 'may' && !/\b(?:by|on|until|before|due)\s+$/i.test(text.slice(0, match.index))) {
+				continue;
+			}
+			return { month: MONTHS.indexOf(monthName.slice(0, 3).toLowerCase()), day: parseInt(match[day], 10) };
+		}
+	}
+	return null;
+}
+
+/**
+ * Find a due date mentioned in an action item, relative to the meeting date
+ * Understands ISO dates, "Feb 10" / "10 February", weekday names,
+ * "today", "tomorrow", "end of week"/"EOW" and "next week"
+ */
+export function parseDueDate(text: string, meetingDate: Date): string | null {
+	const lower = text.toLowerCase();
+
+	const iso = lower.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+	if (iso) {
+		return `${iso[1]}-${iso[2]}-${iso[3]}`;
+	}
+
+	const monthDay = findMonthDay(text);
+	if (monthDay) {
+		const { month, day } = monthDay;
+		if (day >= 1 && day <= 31) {
+			let due = new Date(meetingDate.getFullYear(), month, day);
+			// "Jan 5" mentioned in a December meeting means next year
+			if (due < addDays(meetingDate, 0)) {
+				due = new Date(meetingDate.getFullYear() + 1, month, day);
+			}
+			return toIsoDate(due);
+		}
+	}
+
+	if (/\btoday\b|\beod\b|\bend of (the )?day\b/.test(lower)) {
+		return toIsoDate(meetingDate);
+	}
+	if (/\btomorrow\b/.test(lower)) {
+		return toIsoDate(addDays(meetingDate, 1));
+	}
+	if (/\beow\b|\bend of (the )?week\b/.test(lower)) {
+		return toIsoDate(addDays(meetingDate, (5 - meetingDate.getDay() + 7) % 7));
+	}
+	if (/\bnext week\b/.test(lower)) {
+		return toIsoDate(addDays(meetingDate, ((1 - meetingDate.getDay() + 7) % 7) || 7));
+	}
+
+	const weekday = lower.match(/\b(?:by|on|until|before|due)\s+(?:next\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+	if (weekday) {
+		const target = WEEKDAYS.indexOf(weekday[1]);
+		return toIsoDate(addDays(meetingDate, ((target - meetingDate.getDay() + 7) % 7) || 7));
+	}
+
+	return null;
+}
+
+/**
+ * Find the attendee an action item is assigned to
+ * Matches "Jane: …", "Jane to …", "Jane will …", "(Jane)", "@Jane" and
+ * "Owner: Jane", by full name or first name
+ */
+export function findOwner(text: string, attendeeNames: string[]): string | null {
+	const candidates: Array<{ alias: string; name: string }> = [];
+	for (const name of attendeeNames) {
+		candidates.push({ alias: name, name });
+	}
+	// First names only after all full names, so "Jane Doe" wins over "Jane"
+	for (const name of attendeeNames) {
+		const firstName = name.split(/\s+/)[0];
+		if (firstName && firstName !== name) {
+			candidates.push({ alias: firstName, name });
+		}
+	}
+
+	for (const { alias, name } of candidates) {
+		const escaped = escapeRegExp(alias);
+		const patterns = [
+			new RegExp('^\\s*' + escaped + '(?:\\s*:|\\s+(?:[–—-]|(?:to|will|should|needs to)\\b))', 'i'),
+			new RegExp('\\(\\s*' + escaped + '\\s*\\)', 'i'),
+			new RegExp('@' + escaped + '\\b', 'i'),
+			new RegExp('\\b(?:owner|assignee|assigned to)\\s*:?\\s*' + escaped + '\\b', 'i'),
+		];
+		if (patterns.some(pattern => pattern.test(text))) {
+			return name;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Heading level of a node, or null if it is not a heading
+ * Granola sometimes uses a bold paragraph instead of a heading; those rank
+ * below every real heading.
+ */
+function getHeadingLevel(node: ProseMirrorNode): number | null {
+	if (node.type === 'heading') {
+		return node.attrs?.level ?? 1;
+	}
+	if (node.type === 'paragraph' && node.content && node.content.length > 0 && plainText(node).trim()) {
+		const allBold = node.content.every(child => child.type !== 'text' || !child.text?.trim() ||
+			(child.marks || []).some(mark => mark.type === 'bold' || mark.type === 'strong'));
+		return allBold ? 7 : null;
+	}
+	return null;
+}
+
+function toTaskItem(item: ProseMirrorNode, owner: string | null, due: string | null): ProseMirrorNode {
+	const content = (item.content || []).slice();
+	const suffix: ProseMirrorNode[] = [];
+	const text = plainText(item);
+
+	if (owner && !text.includes('[[' + owner + ']]')) {
+		suffix.push({ type: 'text', text: ' [[' + owner + ']]' });
+	}
+	if (due && !text.includes('📅')) {
+		suffix.push({ type: 'text', text: ' 📅 ' + due });
+	}
+
+	const firstParagraph = content.findIndex(child => child.type === 'paragraph');
+	if (suffix.length > 0 && firstParagraph !== -1) {
+		const paragraph = content[firstParagraph];
+		content[firstParagraph] = { ...paragraph, content: (paragraph.content || []).concat(suffix) };
+	}
+
+	return {
+		type: 'taskItem',
+		attrs: { checked: item.type === 'taskItem' ? !!item.attrs?.checked : false },
+		content,
+	};
+}
+
+/**
+ * Turn lists under "Action items"/"Next steps" style headings into task lists
+ * Returns a converted copy of the document and the extracted items; the
+ * original document is not modified.
+ */
+export function extractActionItems(content: ProseMirrorNode, options: ActionItemOptions): { content: ProseMirrorNode; items: ActionItem[] } {
+	const headings = options.headings.map(heading => heading.trim()).filter(heading => heading);
+	if (!content.content || headings.length === 0) {
+		return { content, items: [] };
+	}
+
+	const headingPattern = new RegExp('^(' + headings.map(escapeRegExp).join('|') + ')\\s*:?$', 'i');
+	const items: ActionItem[] = [];
+	const nodes: ProseMirrorNode[] = [];
+
+	let sectionLevel: number | null = null;
+	let sectionOwner: string | null = null;
+
+	for (const node of content.content) {
+		const level = getHeadingLevel(node);
+		if (level !== null && headingPattern.test(plainText(node).trim())) {
+			sectionLevel = level;
+			sectionOwner = null;
+			nodes.push(node);
+			continue;
+		}
+
+		if (sectionLevel !== null && level !== null) {
+			if (level <= sectionLevel) {
+				sectionLevel = null;
+			} else {
+				// Per-person sub-headings ("### Jane") assign everything below them
+				sectionOwner = findOwner(plainText(node).trim() + ':', options.attendeeNames);
+			}
+		}
+
+		if (sectionLevel === null || !LIST_TYPES.includes(node.type)) {
+			nodes.push(node);
+			continue;
+		}
+
+		const taskItems = (node.content || []).map(item => {
+			const text = plainText(item).trim();
+			const ownerName = findOwner(text, options.attendeeNames) ?? sectionOwner;
+			const owner = ownerName && options.resolveOwner ? options.resolveOwner(ownerName) : ownerName;
+			const due = parseDueDate(text, options.meetingDate);
+			const taskItem = toTaskItem(item, owner, due);
+			const markdown = convertProseMirrorToMarkdown({ type: 'doc', content: [{ type: 'taskList', content: [taskItem] }] }).trim();
+			if (text) {
+				items.push({ text, owner, due, markdown });
+			}
+			return taskItem;
+		});
+
+		nodes.push({ type: 'taskList', content: taskItems });
+	}
+
+	return { content: { ...content, content: nodes }, items };
+}
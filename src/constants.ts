@@ -8,6 +8,51 @@ export const MIN_DOCUMENT_LIMIT = 1;
 export const GRANOLA_API_BASE = 'https://api.granola.ai';
 export const GRANOLA_API_VERSION = '5.354.0';
 
+export const API_MAX_RETRIES = 3;
+export const API_RETRY_BASE_DELAY = 1000;
+export const API_RETRY_MAX_DELAY = 30000;
+/** Transcript and attachment downloads running at once */
+export const API_CONCURRENCY = 4;
+
+export const WORKOS_AUTHENTICATE_URL = 'https://api.workos.com/user_management/authenticate';
+/** Refresh access tokens this long before they expire */
+export const TOKEN_EXPIRY_MARGIN = 60 * 1000;
+
+export const SYNC_INDEX_FILENAME = 'sync-index.json';
+export const SYNC_INDEX_VERSION = 1;
+
+export const CONFLICT_FRONTMATTER_KEY = 'granola_conflict';
+
+/** Settings that change what gets written into a note; changing one re-renders every note on the next sync */
+export const NOTE_CONTENT_SETTINGS: Array<keyof GranolaSyncSettings> = [
+	'includeFullTranscript',
+	'includeMyNotes',
+	'includeEnhancedNotes',
+	'includeGranolaUrl',
+	'includeEmails',
+	'attendeeFilter',
+	'excludeMyNameFromPeople',
+	'autoDetectMyName',
+	'myName',
+	'enableLocationDetection',
+	'platformMappings',
+	'downloadAttachments',
+	'enableCustomFrontmatter',
+	'customCategory',
+	'customTags',
+	'frontmatterFields',
+	'noteTemplatePath',
+	'templateRules',
+	'extractActionItems',
+	'actionItemHeadings',
+	'peopleFolder',
+	'personMappings',
+	'orgFolder',
+];
+
+/** How often a sync checks for meetings deleted in Granola */
+export const DELETED_CHECK_INTERVAL = 24 * 60 * 60 * 1000;
+
 export function getDefaultAuthPath(): string {
 	if (Platform.isWin) {
 		return 'AppData/Roaming/Granola/supabase.json';
@@ -41,7 +86,10 @@ export const DEFAULT_FRONTMATTER_FIELDS: FrontmatterFieldConfig[] = [
 export const DEFAULT_SETTINGS: GranolaSyncSettings = {
 	syncDirectory: 'Notes',
 	authKeyPath: getDefaultAuthPath(),
+	apiBaseUrl: GRANOLA_API_BASE,
+	saveRefreshedTokens: false,
 	filenameTemplate: '{created_date}_{title}',
+	routingRules: [],
 	dateFormat: 'YYYY-MM-DD',
 	autoSyncFrequency: 300000,
 	skipExistingNotes: true,
@@ -49,6 +97,18 @@ export const DEFAULT_SETTINGS: GranolaSyncSettings = {
 	filenameSeparator: ' ',
 	slashReplacement: '&',
 	documentSyncLimit: 100,
+	includeTitlePattern: '',
+	excludeTitlePattern: '',
+	includeDomains: '',
+	excludeDomains: '',
+	syncFromDate: '',
+	syncToDate: '',
+	skipPrivateMeetings: false,
+	skipInvalidMeetings: false,
+	minContentLength: 0,
+	missingDocumentAction: 'keep',
+	missingDocumentTag: 'granola/deleted',
+	archiveFolder: 'Notes/Archive',
 	includeFullTranscript: false,
 	includeMyNotes: true,
 	includeEnhancedNotes: true,
@@ -67,6 +127,22 @@ export const DEFAULT_SETTINGS: GranolaSyncSettings = {
 	enableDailyNoteIntegration: true,
 	dailyNoteSectionName: '## Granola Meetings',
 	frontmatterFields: DEFAULT_FRONTMATTER_FIELDS,
+	noteTemplatePath: '',
+	templateRules: [],
+	extractActionItems: true,
+	actionItemHeadings: 'Action items, Next steps, To-dos, Todos, Follow-ups, Follow ups',
+	enableMeetingTasksNote: false,
+	meetingTasksNotePath: 'Meeting tasks.md',
+	syncReportMode: 'off',
+	syncReportPath: 'Granola sync report.md',
+	forceResyncDays: 7,
+	peopleFolder: 'People',
+	personMappings: [],
+	createPersonNotes: false,
+	personNoteTemplatePath: '',
+	orgFolder: 'Organizations',
+	createOrgNotes: false,
+	orgNoteTemplatePath: '',
 };
 
 export const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'bmp'];
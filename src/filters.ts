@@ -0,0 +1,71 @@
+import type { GranolaSyncSettings } from './types';
+import { matchesRoutingRule, type RoutingFacts } from './routing';
+
+export type SyncFilterSettings = Pick<GranolaSyncSettings,
+	'includeTitlePattern' | 'excludeTitlePattern' | 'includeDomains' | 'excludeDomains' |
+	'syncFromDate' | 'syncToDate' | 'skipPrivateMeetings' | 'skipInvalidMeetings' | 'minContentLength'>;
+
+/**
+ * What sync filters can match on, on top of the routing facts
+ */
+export interface FilterFacts extends RoutingFacts {
+	privacyMode: boolean;
+	validMeeting: boolean;
+	/** Length of My Notes and Enhanced Notes, null when not computed */
+	contentLength: number | null;
+}
+
+/**
+ * An invalid pattern is ignored rather than filtering out every meeting
+ */
+function isValidPattern(pattern: string): boolean {
+	try {
+		new RegExp(pattern, 'i');
+		return true;
+	} catch (error) {
+		console.error('Invalid sync filter pattern:', pattern, error);
+		return false;
+	}
+}
+
+/**
+ * Why a document is filtered out of the sync, or null to sync it
+ * Title and domain filters use the same matching as routing rules.
+ */
+export function getFilterReason(filters: SyncFilterSettings, facts: FilterFacts): string | null {
+	if (filters.skipPrivateMeetings && facts.privacyMode) {
+		return 'Privacy mode is on';
+	}
+	if (filters.skipInvalidMeetings && !facts.validMeeting) {
+		return 'Not a valid meeting';
+	}
+
+	const matches = (match: 'title' | 'domain', value: string): boolean =>
+		matchesRoutingRule({ match, value, folder: '', filenameTemplate: '' }, facts);
+
+	if (filters.includeTitlePattern && isValidPattern(filters.includeTitlePattern) && !matches('title', filters.includeTitlePattern)) {
+		return 'Title does not match the include pattern';
+	}
+	if (filters.excludeTitlePattern && isValidPattern(filters.excludeTitlePattern) && matches('title', filters.excludeTitlePattern)) {
+		return 'Title matches the exclude pattern';
+	}
+	if (filters.includeDomains && !matches('domain', filters.includeDomains)) {
+		return 'No attendee from an included domain';
+	}
+	if (filters.excludeDomains && matches('domain', filters.excludeDomains)) {
+		return 'Attendee from an excluded domain';
+	}
+
+	if (filters.syncFromDate || filters.syncToDate) {
+		const range = (filters.syncFromDate || '') + '..' + (filters.syncToDate || '');
+		if (!matchesRoutingRule({ match: 'date', value: range, folder: '', filenameTemplate: '' }, facts)) {
+			return 'Outside the sync date range';
+		}
+	}
+
+	if (filters.minContentLength > 0 && facts.contentLength !== null && facts.contentLength < filters.minContentLength) {
+		return 'Shorter than ' + filters.minContentLength + ' characters';
+	}
+
+	return null;
+}
@@ -0,0 +1,402 @@
+import { requestUrl, type RequestUrlParam, type RequestUrlResponse } from 'obsidian';
+import * as path from 'path';
+import * as fs from 'fs';
+import * as os from 'os';
+
+import type {
+	GranolaApiResponse,
+	GranolaCredentials,
+	GranolaSyncSettings,
+	GranolaTokens,
+	TranscriptSegment,
+} from './types';
+
+import {
+	API_MAX_RETRIES,
+	API_RETRY_BASE_DELAY,
+	API_RETRY_MAX_DELAY,
+	GRANOLA_API_BASE,
+	GRANOLA_API_VERSION,
+	TOKEN_EXPIRY_MARGIN,
+	WORKOS_AUTHENTICATE_URL,
+} from './constants';
+
+import { safeJsonParse } from './utils';
+
+export type GranolaApiSettings = Pick<GranolaSyncSettings, 'apiBaseUrl' | 'authKeyPath' | 'saveRefreshedTokens'>;
+
+type TokenProvider = 'workos_tokens' | 'cognito_tokens';
+
+interface LoadedCredentials {
+	provider: TokenProvider;
+	tokens: GranolaTokens;
+	/** Credentials file the tokens were read from */
+	authPath: string;
+	/** Whether the token blob is stored as a JSON string */
+	stringified: boolean;
+}
+
+function sleep(ms: number): Promise<void> {
+	return new Promise(resolve => window.setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(status: number): boolean {
+	return status === 429 || status >= 500;
+}
+
+function getHeader(response: RequestUrlResponse, name: string): string | undefined {
+	const headers = response.headers || {};
+	const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+	return key ? headers[key] : undefined;
+}
+
+/**
+ * Delay before the next attempt: the server's Retry-After (seconds or an HTTP
+ * date) when given, otherwise exponential backoff with jitter
+ */
+export function getRetryDelay(attempt: number, retryAfter?: string | null): number {
+	if (retryAfter) {
+		const seconds = Number(retryAfter);
+		const delay = !isNaN(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+		if (!isNaN(delay)) {
+			return Math.min(Math.max(delay, 0), API_RETRY_MAX_DELAY);
+		}
+	}
+
+	const backoff = API_RETRY_BASE_DELAY * Math.pow(2, attempt);
+	return Math.min(backoff + Math.random() * API_RETRY_BASE_DELAY, API_RETRY_MAX_DELAY);
+}
+
+/**
+ * Claims of a JWT, without verifying it
+ */
+function decodeJwtClaims(token: string | undefined): Record<string, unknown> | null {
+	const payload = token?.split('.')[1];
+	if (!payload) return null;
+
+	try {
+		const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+		return JSON.parse(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)));
+	} catch (error) {
+		return null;
+	}
+}
+
+function parseTokens(blob: string | GranolaTokens | undefined, provider: TokenProvider): GranolaTokens | null {
+	if (typeof blob === 'string') {
+		return safeJsonParse<GranolaTokens>(blob, provider === 'workos_tokens' ? 'WorkOS tokens' : 'Cognito tokens').data;
+	}
+	return blob && typeof blob === 'object' ? blob : null;
+}
+
+function isTokenExpired(tokens: GranolaTokens): boolean {
+	if (!tokens.obtained_at || !tokens.expires_in) {
+		return false;
+	}
+	return tokens.obtained_at + tokens.expires_in * 1000 - TOKEN_EXPIRY_MARGIN < Date.now();
+}
+
+/**
+ * Granola API access with retries, token refresh and a configurable base URL
+ * Request methods throw once retries are exhausted.
+ */
+export class GranolaApiClient {
+	private settings: GranolaApiSettings;
+	private credentials: LoadedCredentials | null = null;
+	private refreshing: Promise<boolean> | null = null;
+	/** Tokens refreshed by the plugin and the refresh token they replaced */
+	private refreshed: { credentials: LoadedCredentials; previousRefreshToken: string } | null = null;
+
+	constructor(settings: GranolaApiSettings) {
+		this.settings = settings;
+	}
+
+	/**
+	 * Load the access token from the Granola app, refreshing it if it has expired
+	 * @returns false when there are no usable credentials
+	 */
+	async authenticate(): Promise<boolean> {
+		const loaded = this.loadCredentials();
+		// Keep using tokens refreshed in memory until the Granola app stores newer ones
+		const refreshed = this.refreshed;
+		this.credentials = loaded && refreshed && loaded.provider === refreshed.credentials.provider
+			&& loaded.tokens.refresh_token === refreshed.previousRefreshToken
+			? refreshed.credentials
+			: loaded;
+		if (!this.credentials) {
+			console.error('No valid Granola credentials found. Please ensure Granola is installed and you are logged in.');
+			return false;
+		}
+
+		if (isTokenExpired(this.credentials.tokens)) {
+			return this.refreshAccessToken();
+		}
+		return true;
+	}
+
+	async getDocuments(offset: number, limit: number, includePanels = true): Promise<GranolaApiResponse> {
+		const response = await this.request({
+			url: this.getApiUrl('/v2/get-documents'),
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'Accept': '*/*',
+				'User-Agent': `Granola/${GRANOLA_API_VERSION}`,
+				'X-Client-Version': GRANOLA_API_VERSION
+			},
+			body: JSON.stringify({
+				limit: limit,
+				offset: offset,
+				include_last_viewed_panel: includePanels,
+				include_panels: includePanels
+			})
+		});
+		return response.json as GranolaApiResponse;
+	}
+
+	async getTranscript(docId: string): Promise<TranscriptSegment[]> {
+		const response = await this.request({
+			url: this.getApiUrl('/v1/get-document-transcript'),
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'Accept': 'application/json',
+			},
+			body: JSON.stringify({
+				'document_id': docId
+			})
+		});
+		return response.json as TranscriptSegment[];
+	}
+
+	/**
+	 * Download an attachment; CDN URLs are fetched without the access token
+	 */
+	async downloadAttachment(url: string): Promise<RequestUrlResponse> {
+		const isCdnUrl = url.includes('cloudfront.net') || url.includes('cdn.');
+		return this.request({ url, method: 'GET' }, !isCdnUrl);
+	}
+
+	private getApiUrl(endpoint: string): string {
+		return (this.settings.apiBaseUrl || GRANOLA_API_BASE).replace(/\/+$/, '') + endpoint;
+	}
+
+	/**
+	 * Send a request, retrying network errors, 429 and 5xx responses
+	 * A 401 refreshes the access token once and tries again.
+	 */
+	private async request(param: RequestUrlParam, authenticated = true): Promise<RequestUrlResponse> {
+		let refreshed = false;
+		let attempt = 0;
+
+		while (true) {
+			const token = this.credentials?.tokens.access_token;
+			if (authenticated && !token) {
+				throw new Error('Not authenticated with Granola');
+			}
+
+			let response: RequestUrlResponse | null = null;
+			let failure: unknown;
+			try {
+				response = await requestUrl({
+					...param,
+					headers: authenticated ? { ...param.headers, 'Authorization': 'Bearer ' + token } : param.headers,
+					throw: false,
+				});
+			} catch (error) {
+				failure = error;
+			}
+
+			if (response && response.status < 400) {
+				return response;
+			}
+
+			if (response && response.status === 401 && authenticated && !refreshed) {
+				refreshed = true;
+				// Another request may already have refreshed the token
+				if (this.credentials?.tokens.access_token !== token || await this.refreshAccessToken()) {
+					continue;
+				}
+			}
+
+			if (response) {
+				failure = new Error('Granola API request to ' + param.url + ' failed with status ' + response.status);
+				if (!isRetryableStatus(response.status)) {
+					throw failure;
+				}
+			}
+
+			if (attempt >= API_MAX_RETRIES) {
+				throw failure;
+			}
+
+			const delay = getRetryDelay(attempt, response ? getHeader(response, 'retry-after') : null);
+			console.warn('Granola API request failed, retrying in ' + Math.round(delay) + 'ms:', failure);
+			await sleep(delay);
+			attempt++;
+		}
+	}
+
+	/**
+	 * Exchange the refresh token for a new access token
+	 * Concurrent callers share one refresh.
+	 */
+	private refreshAccessToken(): Promise<boolean> {
+		if (!this.refreshing) {
+			this.refreshing = this.performRefresh().then(refreshed => {
+				this.refreshing = null;
+				return refreshed;
+			});
+		}
+		return this.refreshing;
+	}
+
+	private async performRefresh(): Promise<boolean> {
+		const credentials = this.credentials;
+		const previousRefreshToken = credentials?.tokens.refresh_token;
+		if (!credentials || !previousRefreshToken) {
+			console.error('Granola access token expired and no refresh token is available. Open the Granola app to log in again.');
+			return false;
+		}
+
+		try {
+			const refreshed = credentials.provider === 'workos_tokens'
+				? await this.refreshWorkosTokens(credentials.tokens)
+				: await this.refreshCognitoTokens(credentials.tokens);
+
+			credentials.tokens = { ...credentials.tokens, ...refreshed, obtained_at: Date.now() };
+			this.refreshed = { credentials, previousRefreshToken };
+			if (this.settings.saveRefreshedTokens) {
+				this.saveCredentials(credentials, previousRefreshToken);
+			}
+			return true;
+		} catch (error) {
+			console.error('Failed to refresh Granola access token:', error);
+			return false;
+		}
+	}
+
+	private async refreshWorkosTokens(tokens: GranolaTokens): Promise<Partial<GranolaTokens>> {
+		const claims = decodeJwtClaims(tokens.access_token);
+		const issuerClientId = typeof claims?.iss === 'string' ? claims.iss.split('/').pop() : undefined;
+		const clientId = tokens.client_id || (typeof claims?.client_id === 'string' ? claims.client_id : issuerClientId);
+		if (!clientId) {
+			throw new Error('No WorkOS client id in the Granola tokens');
+		}
+
+		const response = await requestUrl({
+			url: WORKOS_AUTHENTICATE_URL,
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({
+				client_id: clientId,
+				grant_type: 'refresh_token',
+				refresh_token: tokens.refresh_token,
+			}),
+		});
+
+		const data = response.json as { access_token?: string; refresh_token?: string; expires_in?: number };
+		if (!data?.access_token) {
+			throw new Error('WorkOS did not return an access token');
+		}
+		return { access_token: data.access_token, refresh_token: data.refresh_token || tokens.refresh_token, expires_in: data.expires_in ?? tokens.expires_in };
+	}
+
+	private async refreshCognitoTokens(tokens: GranolaTokens): Promise<Partial<GranolaTokens>> {
+		// The issuer is https://cognito-idp.<region>.amazonaws.com/<pool id>
+		const claims = decodeJwtClaims(tokens.access_token) || decodeJwtClaims(tokens.id_token);
+		const issuer = typeof claims?.iss === 'string' ? claims.iss : '';
+		const clientId = tokens.client_id || (typeof claims?.client_id === 'string' ? claims.client_id : undefined);
+		if (!issuer || !clientId) {
+			throw new Error('No Cognito issuer or client id in the Granola tokens');
+		}
+
+		const response = await requestUrl({
+			url: issuer.replace(/\/[^/]+$/, '/'),
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/x-amz-json-1.1',
+				'X-Amz-Target': 'AWSCognitoIdentityProviderService.InitiateAuth',
+			},
+			body: JSON.stringify({
+				AuthFlow: 'REFRESH_TOKEN_AUTH',
+				ClientId: clientId,
+				AuthParameters: { REFRESH_TOKEN: tokens.refresh_token },
+			}),
+		});
+
+		const result = (response.json as { AuthenticationResult?: { AccessToken?: string; IdToken?: string; ExpiresIn?: number } })?.AuthenticationResult;
+		if (!result?.AccessToken) {
+			throw new Error('Cognito did not return an access token');
+		}
+		return { access_token: result.AccessToken, id_token: result.IdToken || tokens.id_token, expires_in: result.ExpiresIn ?? tokens.expires_in };
+	}
+
+	private loadCredentials(): LoadedCredentials | null {
+		const homedir = os.homedir();
+		const username = os.userInfo().username;
+		const authPaths = [
+			path.resolve(homedir, 'Users', username, 'Library/Application Support/Granola/supabase.json'),
+			path.resolve(homedir, this.settings.authKeyPath),
+			path.resolve(homedir, 'Library/Application Support/Granola/supabase.json')
+		];
+
+		for (const authPath of authPaths) {
+			try {
+				if (!fs.existsSync(authPath)) {
+					continue;
+				}
+
+				let credentialsFile: string;
+				try {
+					credentialsFile = fs.readFileSync(authPath, 'utf8');
+				} catch (readError) {
+					console.error('Failed to read credentials file:', readError);
+					continue;
+				}
+
+				const { data, error: parseError } = safeJsonParse<GranolaCredentials>(credentialsFile, 'Granola credentials file');
+				if (parseError || !data) {
+					console.error(parseError);
+					continue;
+				}
+
+				for (const provider of ['workos_tokens', 'cognito_tokens'] as TokenProvider[]) {
+					const blob = data[provider];
+					const tokens = parseTokens(blob, provider);
+					if (tokens?.access_token) {
+						return { provider, tokens, authPath, stringified: typeof blob === 'string' };
+					}
+				}
+			} catch (error) {
+				console.error('Error loading credentials:', error);
+				continue;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Write refreshed tokens back to the Granola app's credentials file (opt-in)
+	 * Skipped when the app rotated the tokens itself in the meantime. The file
+	 * is replaced atomically and keeps its indentation.
+	 */
+	private saveCredentials(credentials: LoadedCredentials, previousRefreshToken: string): void {
+		try {
+			const original = fs.readFileSync(credentials.authPath, 'utf8');
+			const { data } = safeJsonParse<GranolaCredentials>(original, 'Granola credentials file');
+			if (!data || parseTokens(data[credentials.provider], credentials.provider)?.refresh_token !== previousRefreshToken) {
+				return;
+			}
+
+			data[credentials.provider] = credentials.stringified ? JSON.stringify(credentials.tokens) : credentials.tokens;
+			const indent = original.match(/^\{\s*\n([ \t]+)/)?.[1];
+			const tempPath = credentials.authPath + '.granola-sync.tmp';
+			fs.writeFileSync(tempPath, JSON.stringify(data, null, indent), 'utf8');
+			fs.renameSync(tempPath, credentials.authPath);
+		} catch (error) {
+			console.error('Failed to save refreshed Granola tokens:', error);
+		}
+	}
+}
@@ -2,24 +2,24 @@ import {
 	Plugin,
 	TFile,
 	TFolder,
-	requestUrl,
+	normalizePath,
 	type App,
 	type CachedMetadata,
 } from 'obsidian';
 import * as path from 'path';
-import * as fs from 'fs';
-import * as os from 'os';
 
 import type {
 	GranolaSyncSettings,
 	GranolaDocument,
-	GranolaApiResponse,
-	GranolaCredentials,
+	Attendee,
+	Company,
 	GranolaPerson,
 	GranolaCalendarAttendee,
+	GranolaAttachment,
 	ProseMirrorNode,
+	SyncAction,
+	SyncResult,
 	TodaysNote,
-	TranscriptSegment,
 } from './types';
 
 import {
@@ -27,35 +27,94 @@ import {
 	DEFAULT_FRONTMATTER_FIELDS,
 	REQUIRED_FRONTMATTER_FIELDS,
 	API_BATCH_SIZE,
-	GRANOLA_API_BASE,
-	GRANOLA_API_VERSION,
+	API_CONCURRENCY,
+	DELETED_CHECK_INTERVAL,
 	IMAGE_EXTENSIONS,
+	NOTE_CONTENT_SETTINGS,
+	SYNC_INDEX_FILENAME,
 } from './constants';
 
 import {
-	safeJsonParse,
 	escapeYamlValue,
 	formatDate,
 	formatDateTimeProperty,
 	formatDateWithPattern,
 	convertGermanUmlauts,
-	convertProseMirrorToMarkdown,
 	transcriptToMarkdown,
 	getAttachmentExtension,
 	extractNameFromEmail,
 	extractCompanyFromEmail,
+	hashContent,
+	isNewerTimestamp,
+	mapWithConcurrency,
 } from './utils';
 
 import { GranolaSyncSettingTab } from './settings';
+import { GranolaApiClient } from './granola-api';
+import { SyncIndex } from './sync-index';
+import { mergeNote, upsertManagedBlock, wrapManagedBlock } from './note-merge';
+import { convertProseMirrorToMarkdown } from './prosemirror';
+import { ManagedSection, renderTemplate, type TemplateContext } from './templates';
+import { extractActionItems, type ActionItem } from './action-items';
+import { PeopleDirectory, addMeetingToList } from './people';
+import { expandDateTokens, findRoutingRule, type RoutingFacts } from './routing';
+import { getFilterReason } from './filters';
+import { formatSyncReport } from './sync-report';
+import { MeetingPickerModal, ResyncDaysModal, SyncPreviewModal } from './modals';
+
+interface ProcessOptions {
+	/** Re-process even if unchanged or "skip existing notes" is on */
+	force?: boolean;
+	/** Only work out what would happen, write nothing */
+	dryRun?: boolean;
+}
+
+interface SyncRunOptions extends ProcessOptions {
+	/** Only report filtered documents updated since the watermark, and advance it afterwards */
+	incremental?: boolean;
+	/** Only sync fetched documents matching this */
+	filter?: (doc: GranolaDocument) => boolean;
+	/** Sync these documents instead of fetching */
+	documents?: GranolaDocument[];
+}
+
+const UNCHANGED_REASON = 'Unchanged since last sync';
 
 export default class GranolaSyncPlugin extends Plugin {
 	settings: GranolaSyncSettings = DEFAULT_SETTINGS;
 	private autoSyncInterval: number | null = null;
 	private statusBarItem: HTMLElement | null = null;
 	private ribbonIconEl: HTMLElement | null = null;
+	private syncIndex!: SyncIndex;
+	private api!: GranolaApiClient;
+	private vaultIdLookup: Map<string, TFile> | null = null;
+	private peopleDirectory: PeopleDirectory | null = null;
+	private isSyncing = false;
+	private lastDeletedCheck = 0;
 
 	async onload(): Promise<void> {
 		await this.loadSettings();
+		this.api = new GranolaApiClient(this.settings);
+
+		this.syncIndex = new SyncIndex(
+			this.app.vault.adapter,
+			normalizePath(`${this.manifest.dir}/${SYNC_INDEX_FILENAME}`)
+		);
+		await this.syncIndex.load();
+
+		// Keep the sync index pointing at notes after they are renamed, moved or deleted
+		this.registerEvent(this.app.vault.on('rename', (file, oldPath) => {
+			if (file instanceof TFile) {
+				this.syncIndex.handleRename(oldPath, file.path);
+				this.syncIndex.save();
+			}
+		}));
+		this.registerEvent(this.app.vault.on('delete', (file) => {
+			if (file instanceof TFile) {
+				this.syncIndex.handleDelete(file.path);
+				this.syncIndex.save();
+			}
+		}));
 
 		this.statusBarItem = this.addStatusBarItem();
 		this.updateStatusBar('Idle');
@@ -72,6 +131,73 @@ export default class GranolaSyncPlugin extends Plugin {
 			}
 		});
 
+		this.addCommand({
+			id: 'preview-granola-sync',
+			name: 'Preview sync (dry run)',
+			callback: () => {
+				this.previewSync();
+			}
+		});
+
+		this.addCommand({
+			id: 'resync-current-granola-note',
+			name: 'Re-sync current note',
+			checkCallback: (checking: boolean) => {
+				const file = this.app.workspace.getActiveFile();
+				if (!file || !this.getGranolaId(file)) {
+					return false;
+				}
+				if (!checking) {
+					this.resyncNote(file);
+				}
+				return true;
+			}
+		});
+
+		this.addCommand({
+			id: 'force-resync-recent-granola-notes',
+			name: 'Force re-sync last N days',
+			callback: () => {
+				new ResyncDaysModal(this.app, this.settings.forceResyncDays, async (days) => {
+					this.settings.forceResyncDays = days;
+					await this.saveSettings();
+					await this.forceResyncRecent(days);
+				}).open();
+			}
+		});
+
+		this.addCommand({
+			id: 'sync-single-granola-meeting',
+			name: 'Sync a single meeting',
+			callback: () => {
+				this.syncSingleMeeting();
+			}
+		});
+
+		this.addCommand({
+			id: 'rebuild-granola-notes',
+			name: 'Rebuild all notes',
+			callback: () => {
+				this.rebuildAllNotes();
+			}
+		});
+
+		this.addCommand({
+			id: 'move-granola-notes',
+			name: 'Move synced notes to routed folders',
+			callback: () => {
+				this.moveSyncedNotes();
+			}
+		});
+
+		this.addCommand({
+			id: 'check-deleted-granola-meetings',
+			name: 'Check for meetings deleted in Granola',
+			callback: () => {
+				this.checkDeletedMeetings();
+			}
+		});
+
 		this.addSettingTab(new GranolaSyncSettingTab(this.app, this));
 
 		window.setTimeout(() => {
@@ -106,9 +232,22 @@ export default class GranolaSyncPlugin extends Plugin {
 		this.setupAutoSync();
 	}
 
-	private updateStatusBar(status: 'Idle' | 'Syncing' | 'Complete' | 'Error', count?: number | string): void {
+	private updateStatusBar(status: 'Idle' | 'Syncing' | 'Busy' | 'Complete' | 'Moved' | 'Deleted' | 'Error', count?: number | string): void {
 		if (!this.statusBarItem) return;
 
+		if (status === 'Busy') {
+			// Shown briefly, then back to the progress of the running sync
+			const previous = this.statusBarItem.getText();
+			const busyText = 'Granola: Sync already running';
+			this.statusBarItem.setText(busyText);
+			window.setTimeout(() => {
+				if (this.statusBarItem?.getText() === busyText) {
+					this.statusBarItem.setText(previous);
+				}
+			}, 3000);
+			return;
+		}
+
 		let text = 'Granola: ';
 
 		if (status === 'Idle') {
@@ -118,6 +257,12 @@ export default class GranolaSyncPlugin extends Plugin {
 		} else if (status === 'Complete') {
 			text += count + ' synced';
 			window.setTimeout(() => this.updateStatusBar('Idle'), 3000);
+		} else if (status === 'Moved') {
+			text += count + ' moved';
+			window.setTimeout(() => this.updateStatusBar('Idle'), 3000);
+		} else if (status === 'Deleted') {
+			text += count + ' deleted in Granola';
+			window.setTimeout(() => this.updateStatusBar('Idle'), 3000);
 		} else if (status === 'Error') {
 			text += 'Error - ' + (count || 'sync failed');
 			window.setTimeout(() => this.updateStatusBar('Idle'), 5000);
@@ -147,141 +292,499 @@ export default class GranolaSyncPlugin extends Plugin {
 	}
 
 	async syncNotes(): Promise<void> {
+		await this.runSync({ incremental: true });
+	}
+
+	/**
+	 * Show what a sync would create, update or skip, without writing anything
+	 */
+	async previewSync(): Promise<void> {
+		const results = await this.runSync({ incremental: true, dryRun: true });
+		if (results) {
+			new SyncPreviewModal(this.app, results, () => {
+				this.syncNotes();
+			}).open();
+		}
+	}
+
+	/**
+	 * Re-sync a single note from Granola by its granola_id
+	 */
+	async resyncNote(file: TFile): Promise<void> {
+		const granolaId = this.getGranolaId(file);
+		if (!granolaId) {
+			this.updateStatusBar('Error', 'not a Granola note');
+			return;
+		}
+
+		const results = await this.runSync({ force: true, filter: doc => doc.id === granolaId });
+		if (results && results.length === 0) {
+			console.error('Granola document ' + granolaId + ' not found within the document limit');
+			this.updateStatusBar('Error', 'meeting not found');
+		}
+	}
+
+	/**
+	 * Re-sync every meeting of the last N days, even if unchanged
+	 */
+	async forceResyncRecent(days: number): Promise<void> {
+		const cutoff = new Date();
+		cutoff.setHours(0, 0, 0, 0);
+		cutoff.setDate(cutoff.getDate() - days + 1);
+
+		await this.runSync({ force: true, filter: doc => this.getMeetingDate(doc) >= cutoff });
+	}
+
+	/**
+	 * Pick one of the fetched meetings and sync it
+	 */
+	async syncSingleMeeting(): Promise<void> {
+		this.updateStatusBar('Syncing', 'Fetching meetings...');
+
+		if (!await this.api.authenticate()) {
+			this.updateStatusBar('Error', 'credentials failed');
+			return;
+		}
+
+		const documents = await this.fetchGranolaDocuments();
+		if (!documents) {
+			this.updateStatusBar('Error', 'fetch failed');
+			return;
+		}
+
+		this.updateStatusBar('Idle');
+
+		new MeetingPickerModal(this.app, documents, (doc) => {
+			this.runSync({ force: true, documents: [doc] });
+		}).open();
+	}
+
+	/**
+	 * Re-process every document up to the document limit
+	 * Managed blocks are regenerated; anything edited locally is still kept.
+	 */
+	async rebuildAllNotes(): Promise<void> {
+		await this.runSync({ incremental: true, force: true });
+	}
+
+	/**
+	 * Fetch and process documents
+	 * @returns What happened to each document, or null when the sync could not run
+	 */
+	private async runSync(options: SyncRunOptions = {}): Promise<SyncResult[] | null> {
+		if (this.isSyncing) {
+			this.updateStatusBar('Busy');
+			return null;
+		}
+		this.isSyncing = true;
+
 		try {
-			this.updateStatusBar('Syncing');
+			this.updateStatusBar('Syncing', options.dryRun ? 'Checking...' : undefined);
 
-			await this.ensureDirectoryExists();
+			if (!options.dryRun) {
+				await this.ensureDirectoryExists();
+			}
 
-			const token = await this.loadCredentials();
-			if (!token) {
+			if (!await this.api.authenticate()) {
 				this.updateStatusBar('Error', 'credentials failed');
-				return;
+				return null;
 			}
 
-			const documents = await this.fetchGranolaDocuments(token);
+			this.vaultIdLookup = null;
+			this.peopleDirectory = null;
+			const results: SyncResult[] = [];
+			// Notes written with different content settings are all out of date
+			const settingsFingerprint = this.getNoteContentFingerprint();
+			const settingsChanged = this.syncIndex.getSettingsFingerprint() !== settingsFingerprint;
+			// Forced runs such as a rebuild report everything they skip
+			const watermark = options.incremental && !options.force && !settingsChanged ? this.syncIndex.getWatermark() : null;
+			let newestUpdatedAt = watermark;
+			const trackUpdatedAt = (doc: GranolaDocument): void => {
+				if (doc.updated_at && (!newestUpdatedAt || isNewerTimestamp(doc.updated_at, newestUpdatedAt))) {
+					newestUpdatedAt = doc.updated_at;
+				}
+			};
+
+			// Filtered documents are never written; they are reported until the watermark moves past them
+			let documents = options.documents ?? await this.fetchGranolaDocuments((doc, reason) => {
+				trackUpdatedAt(doc);
+				if (watermark && doc.updated_at && !isNewerTimestamp(doc.updated_at, watermark)) {
+					return;
+				}
+				if (!options.filter || options.filter(doc)) {
+					results.push(this.createSyncResult(doc, 'skip', 'Filtered: ' + reason, this.syncIndex.get(doc.id)?.path ?? null));
+				}
+			});
 			if (!documents) {
 				this.updateStatusBar('Error', 'fetch failed');
-				return;
+				return null;
+			}
+			if (options.filter) {
+				documents = documents.filter(options.filter);
 			}
 
-			let syncedCount = 0;
-			const todaysNotes: TodaysNote[] = [];
-			const today = new Date().toDateString();
-
+			const changedDocs: GranolaDocument[] = [];
 			for (const doc of documents) {
-				try {
-					if (this.settings.includeFullTranscript) {
-						const transcriptData = await this.fetchTranscript(token, doc.id);
-						doc.transcript = transcriptToMarkdown(transcriptData);
-					}
+				trackUpdatedAt(doc);
 
-					const success = await this.processDocument(doc, token);
-					if (success) {
-						syncedCount++;
-					}
+				// Unchanged since the last sync: skip transcript and attachment fetches entirely
+				if (!options.force && !settingsChanged && await this.isDocumentUnchanged(doc)) {
+					results.push(this.createSyncResult(doc, 'skip', UNCHANGED_REASON, this.syncIndex.get(doc.id)?.path ?? null));
+				} else {
+					changedDocs.push(doc);
+				}
+			}
 
-					// Track today's notes for daily note integration
-					if (this.settings.enableDailyNoteIntegration && doc.created_at) {
-						const noteDate = new Date(doc.created_at).toDateString();
-						if (noteDate === today) {
-							const actualFile = await this.findExistingNoteByGranolaId(doc.id);
-							if (actualFile) {
-								const createdDate = new Date(doc.created_at);
-								const hours = String(createdDate.getHours()).padStart(2, '0');
-								const minutes = String(createdDate.getMinutes()).padStart(2, '0');
-								todaysNotes.push({
-									title: doc.title || 'Untitled Granola Note',
-									actualFilePath: actualFile.path,
-									time: hours + ':' + minutes
-								});
-							}
-						}
-					}
+			// Transcripts download in parallel, notes are still written one at a time
+			const transcriptErrors = this.settings.includeFullTranscript
+				? await mapWithConcurrency(changedDocs, API_CONCURRENCY, doc => this.fetchTranscript(doc))
+				: [];
+
+			for (let i = 0; i < changedDocs.length; i++) {
+				const doc = changedDocs[i];
+				const transcriptError = transcriptErrors[i];
+				if (transcriptError) {
+					results.push(this.createSyncResult(doc, 'failed', transcriptError.message));
+					continue;
+				}
+
+				try {
+					results.push(await this.processDocument(doc, options));
 				} catch (error) {
 					console.error('Error processing document ' + doc.title + ':', error);
+					results.push(this.createSyncResult(doc, 'failed', error instanceof Error ? error.message : String(error)));
+				}
+			}
+
+			if (options.dryRun) {
+				this.updateStatusBar('Idle');
+				return results;
+			}
+
+			// Regular syncs look for deleted meetings at most once a day
+			if (options.incremental && !options.filter && !options.documents
+				&& this.settings.missingDocumentAction !== 'keep'
+				&& Date.now() - this.lastDeletedCheck > DELETED_CHECK_INTERVAL) {
+				const deletedResults = await this.handleDeletedDocuments();
+				if (deletedResults) {
+					results.push(...deletedResults);
 				}
 			}
 
+			// Only advance the watermark when every document made it, so failures are retried
+			if (options.incremental && !results.some(result => result.action === 'failed')) {
+				this.syncIndex.setWatermark(newestUpdatedAt);
+				this.syncIndex.setSettingsFingerprint(settingsFingerprint);
+			}
+			await this.syncIndex.save();
+
 			// Update daily note with today's meetings
-			if (this.settings.enableDailyNoteIntegration && todaysNotes.length > 0) {
-				await this.updateDailyNote(todaysNotes);
+			if (this.settings.enableDailyNoteIntegration) {
+				const todaysNotes = this.collectTodaysNotes();
+				if (todaysNotes.length > 0) {
+					await this.updateDailyNote(todaysNotes);
+				}
 			}
 
+			await this.writeSyncReport(results);
+
+			const syncedCount = results.filter(result => result.action !== 'skip' && result.action !== 'failed').length;
 			this.updateStatusBar('Complete', syncedCount);
+			return results;
 
 		} catch (error) {
 			console.error('Granola sync failed:', error);
 			this.updateStatusBar('Error', 'sync failed');
+			return null;
+		} finally {
+			this.isSyncing = false;
 		}
 	}
 
-	private async loadCredentials(): Promise<string | null> {
-		const homedir = os.homedir();
-		const username = os.userInfo().username;
-		const authPaths = [
-			path.resolve(homedir, 'Users', username, 'Library/Application Support/Granola/supabase.json'),
-			path.resolve(homedir, this.settings.authKeyPath),
-			path.resolve(homedir, 'Library/Application Support/Granola/supabase.json')
-		];
+	/**
+	 * Write the results of a sync to the report note
+	 * Syncs where nothing changed are not reported.
+	 */
+	private async writeSyncReport(results: SyncResult[]): Promise<void> {
+		if (this.settings.syncReportMode === 'off' || !this.settings.syncReportPath) {
+			return;
+		}
+		if (results.every(result => result.action === 'skip' && result.reason === UNCHANGED_REASON)) {
+			return;
+		}
 
-		for (const authPath of authPaths) {
-			try {
-				if (!fs.existsSync(authPath)) {
-					continue;
+		try {
+			const reportPath = normalizePath(this.settings.syncReportPath.endsWith('.md')
+				? this.settings.syncReportPath
+				: this.settings.syncReportPath + '.md');
+			const report = formatSyncReport(results, new Date());
+			const heading = '# Granola sync report\n\n';
+
+			const reportFile = this.app.vault.getAbstractFileByPath(reportPath);
+			if (!(reportFile instanceof TFile)) {
+				const folderPath = path.dirname(reportPath);
+				if (folderPath && folderPath !== '.' && !this.app.vault.getFolderByPath(folderPath)) {
+					await this.app.vault.createFolder(folderPath);
 				}
+				await this.app.vault.create(reportPath, heading + report);
+				return;
+			}
 
-				let credentialsFile: string;
-				try {
-					credentialsFile = fs.readFileSync(authPath, 'utf8');
-				} catch (readError) {
-					console.error('Failed to read credentials file:', readError);
-					continue;
-				}
+			await this.app.vault.process(reportFile, (content) => this.settings.syncReportMode === 'append'
+				? content.replace(/\s*$/, '\n\n') + report
+				: heading + report);
+		} catch (error) {
+			console.error('Error writing sync report:', error);
+		}
+	}
 
-				const { data, error: parseError } = safeJsonParse<GranolaCredentials>(credentialsFile, 'Granola credentials file');
-				if (parseError || !data) {
-					console.error(parseError);
-					continue;
-				}
+	/**
+	 * Move already-synced notes to the location their routing rule gives them,
+	 * e.g. after the rules changed
+	 */
+	async moveSyncedNotes(): Promise<void> {
+		if (this.isSyncing) {
+			this.updateStatusBar('Busy');
+			return;
+		}
+		this.isSyncing = true;
 
-				let accessToken: string | null = null;
+		try {
+			this.updateStatusBar('Syncing', 'Moving notes...');
 
-				if (data.workos_tokens) {
-					if (typeof data.workos_tokens === 'string') {
-						const { data: workosTokens } = safeJsonParse<{ access_token: string }>(data.workos_tokens, 'WorkOS tokens');
-						if (workosTokens) {
-							accessToken = workosTokens.access_token;
-						}
-					} else if (typeof data.workos_tokens === 'object') {
-						accessToken = data.workos_tokens.access_token;
-					}
-				}
+			if (!await this.api.authenticate()) {
+				this.updateStatusBar('Error', 'credentials failed');
+				return;
+			}
 
-				if (!accessToken && data.cognito_tokens) {
-					if (typeof data.cognito_tokens === 'string') {
-						const { data: cognitoTokens } = safeJsonParse<{ access_token: string }>(data.cognito_tokens, 'Cognito tokens');
-						if (cognitoTokens) {
-							accessToken = cognitoTokens.access_token;
-						}
-					} else if (typeof data.cognito_tokens === 'object') {
-						accessToken = data.cognito_tokens.access_token;
+			this.vaultIdLookup = null;
+			this.peopleDirectory = null;
+
+			// Routing rules need the document metadata, so fetch without the watermark
+			const documents = await this.fetchGranolaDocuments();
+			if (!documents) {
+				this.updateStatusBar('Error', 'fetch failed');
+				return;
+			}
+
+			let movedCount = 0;
+
+			for (const doc of documents) {
+				try {
+					const file = await this.findExistingNoteByGranolaId(doc.id);
+					if (file && await this.moveNoteToRoutedLocation(file, doc)) {
+						movedCount++;
 					}
+				} catch (error) {
+					console.error('Error moving note ' + doc.title + ':', error);
 				}
+			}
+
+			await this.syncIndex.save();
+			this.updateStatusBar('Moved', movedCount);
+		} catch (error) {
+			console.error('Moving Granola notes failed:', error);
+			this.updateStatusBar('Error', 'move failed');
+		} finally {
+			this.isSyncing = false;
+		}
+	}
+
+	/**
+	 * Renames go through the file manager so links to the note stay intact.
+	 * Attachments in a note-relative attachment folder move along with it.
+	 * @returns true when the note was moved
+	 */
+	private async moveNoteToRoutedLocation(file: TFile, doc: GranolaDocument): Promise<boolean> {
+		const { folder, filename } = this.resolveNoteLocation(doc);
+		const currentFolder = file.parent && !file.parent.isRoot() ? file.parent.path : '';
+		const targetFolder = folder ? normalizePath(folder) : '';
+
+		// Names made unique with a timestamp on creation keep their suffix
+		const keepsName = file.basename === filename || file.basename.startsWith(filename + '_');
+		if (targetFolder === currentFolder && keepsName) {
+			return false;
+		}
+
+		return this.moveNote(file, targetFolder, keepsName ? file.basename : filename);
+	}
 
-				if (accessToken) {
-					return accessToken;
+	/**
+	 * Move a note and the attachments in its note-relative attachment folder
+	 * @returns true when the note was moved
+	 */
+	private async moveNote(file: TFile, targetFolder: string, newBasename: string): Promise<boolean> {
+		const currentFolder = file.parent && !file.parent.isRoot() ? file.parent.path : '';
+		const newPath = normalizePath(targetFolder ? targetFolder + '/' + newBasename + '.md' : newBasename + '.md');
+		if (this.app.vault.getAbstractFileByPath(newPath)) {
+			console.warn('Not moving ' + file.path + ': ' + newPath + ' already exists');
+			return false;
+		}
+
+		const oldAttachmentFolder = this.getAttachmentFolder(currentFolder);
+		const newAttachmentFolder = this.getAttachmentFolder(targetFolder);
+		const attachments = oldAttachmentFolder !== newAttachmentFolder
+			? this.getNoteAttachments(file, oldAttachmentFolder)
+			: [];
+
+		if (targetFolder) {
+			await this.ensureDirectoryExists(targetFolder);
+		}
+		await this.app.fileManager.renameFile(file, newPath);
+
+		for (const attachment of attachments) {
+			const attachmentPath = normalizePath(newAttachmentFolder ? newAttachmentFolder + '/' + attachment.name : attachment.name);
+			if (this.app.vault.getAbstractFileByPath(attachmentPath)) {
+				continue;
+			}
+			if (newAttachmentFolder) {
+				await this.ensureDirectoryExists(newAttachmentFolder);
+			}
+			await this.app.fileManager.renameFile(attachment, attachmentPath);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Look for synced notes whose meeting was deleted in Granola and apply the
+	 * configured policy, regardless of when this last ran
+	 */
+	async checkDeletedMeetings(): Promise<void> {
+		if (this.isSyncing) {
+			this.updateStatusBar('Busy');
+			return;
+		}
+		this.isSyncing = true;
+
+		try {
+			this.updateStatusBar('Syncing', 'Checking for deleted meetings...');
+
+			if (!await this.api.authenticate()) {
+				this.updateStatusBar('Error', 'credentials failed');
+				return;
+			}
+
+			const results = await this.handleDeletedDocuments();
+			if (!results) {
+				this.updateStatusBar('Error', 'fetch failed');
+				return;
+			}
+
+			await this.syncIndex.save();
+			await this.writeSyncReport(results);
+			this.updateStatusBar('Deleted', results.length);
+		} catch (error) {
+			console.error('Checking for deleted Granola meetings failed:', error);
+			this.updateStatusBar('Error', 'check failed');
+		} finally {
+			this.isSyncing = false;
+		}
+	}
+
+	/**
+	 * Tag or archive synced notes whose granola_id no longer comes back from the API
+	 * Notes are never deleted. Already tagged or archived notes are not reported again.
+	 * @returns One result per note found missing, or null when the listing failed
+	 */
+	private async handleDeletedDocuments(): Promise<SyncResult[] | null> {
+		const granolaIds = await this.fetchGranolaDocumentIds();
+		// An empty listing is far more likely an API problem than everything being deleted
+		if (!granolaIds || granolaIds.size === 0) {
+			return null;
+		}
+		this.lastDeletedCheck = Date.now();
+
+		const action = this.settings.missingDocumentAction;
+		const archiveFolder = this.settings.archiveFolder ? normalizePath(this.settings.archiveFolder) : '';
+		const results: SyncResult[] = [];
+
+		for (const [granolaId, entry] of this.syncIndex.entries()) {
+			if (granolaIds.has(granolaId)) continue;
+
+			const file = this.app.vault.getAbstractFileByPath(entry.path);
+			if (!(file instanceof TFile)) continue;
+
+			const result = (reason: string): SyncResult =>
+				({ docId: granolaId, title: file.basename, action: 'skip', reason, path: file.path });
+
+			try {
+				if (action === 'tag') {
+					if (await this.tagDeletedNote(file)) {
+						results.push(result('Deleted in Granola, tagged #' + this.getDeletedTag()));
+					}
+				} else if (action === 'archive' && archiveFolder) {
+					if (!file.path.startsWith(archiveFolder + '/') && await this.moveNote(file, archiveFolder, file.basename)) {
+						results.push(result('Deleted in Granola, moved to ' + archiveFolder));
+					}
+				} else {
+					results.push(result('Deleted in Granola, kept'));
 				}
 			} catch (error) {
-				console.error('Error loading credentials:', error);
-				continue;
+				console.error('Error handling deleted meeting ' + file.path + ':', error);
 			}
 		}
 
-		console.error('No valid Granola credentials found. Please ensure Granola is installed and you are logged in.');
-		return null;
+		return results;
+	}
+
+	private getDeletedTag(): string {
+		return (this.settings.missingDocumentTag || DEFAULT_SETTINGS.missingDocumentTag).replace(/^#/, '').trim();
 	}
 
-	private async fetchGranolaDocuments(token: string): Promise<GranolaDocument[] | null> {
+	/**
+	 * Add the deleted tag to a note's frontmatter
+	 * @returns true when the tag was added, false when it was already there
+	 */
+	private async tagDeletedNote(file: TFile): Promise<boolean> {
+		const tag = this.getDeletedTag();
+		let added = false;
+
+		await this.app.fileManager.processFrontMatter(file, (frontmatter) => {
+			const tags: string[] = Array.isArray(frontmatter.tags)
+				? frontmatter.tags.map(String)
+				: typeof frontmatter.tags === 'string'
+					? frontmatter.tags.split(/[,\s]+/).filter((t: string) => t)
+					: [];
+			if (tags.some(existing => existing.replace(/^#/, '') === tag)) return;
+
+			tags.push(tag);
+			frontmatter.tags = tags;
+			added = true;
+		});
+
+		return added;
+	}
+
+	/**
+	 * Non-note files linked or embedded from a note that live in the given folder
+	 */
+	private getNoteAttachments(file: TFile, attachmentFolder: string): TFile[] {
+		const cache = this.app.metadataCache.getFileCache(file);
+		const references = (cache?.embeds || []).concat(cache?.links || []);
+		const attachments: TFile[] = [];
+
+		for (const reference of references) {
+			const linked = this.app.metadataCache.getFirstLinkpathDest(reference.link, file.path);
+			const linkedFolder = linked?.parent && !linked.parent.isRoot() ? linked.parent.path : '';
+			if (linked && linked.extension !== 'md' && linkedFolder === attachmentFolder && !attachments.includes(linked)) {
+				attachments.push(linked);
+			}
+		}
+
+		return attachments;
+	}
+
+	/**
+	 * Fetch documents from Granola, newest first, up to the document limit
+	 * The API does not promise to sort by updated_at, so paging never stops
+	 * early at the watermark; unchanged documents are skipped after fetching.
+	 * Documents excluded by the sync filters
+	 * are passed to onFiltered and do not count against the document limit.
+	 */
+	private async fetchGranolaDocuments(
+		onFiltered?: (doc: GranolaDocument, reason: string) => void
+	): Promise<GranolaDocument[] | null> {
 		try {
 			const allDocs: GranolaDocument[] = [];
 			let offset = 0;
@@ -289,32 +792,21 @@ export default class GranolaSyncPlugin extends Plugin {
 			const maxDocuments = this.settings.documentSyncLimit;
 
 			while (hasMore && allDocs.length < maxDocuments) {
-				const response = await requestUrl({
-					url: `${GRANOLA_API_BASE}/v2/get-documents`,
-					method: 'POST',
-					headers: {
-						'Authorization': 'Bearer ' + token,
-						'Content-Type': 'application/json',
-						'Accept': '*/*',
-						'User-Agent': `Granola/${GRANOLA_API_VERSION}`,
-						'X-Client-Version': GRANOLA_API_VERSION
-					},
-					body: JSON.stringify({
-						limit: API_BATCH_SIZE,
-						offset: offset,
-						include_last_viewed_panel: true,
-						include_panels: true
-					})
-				});
-
-				const apiResponse = response.json as GranolaApiResponse;
+				const apiResponse = await this.api.getDocuments(offset, API_BATCH_SIZE);
 
 				if (!apiResponse || !apiResponse.docs) {
 					return allDocs.length > 0 ? allDocs : null;
 				}
 
 				const docs = apiResponse.docs;
-				allDocs.push(...docs);
+				for (const doc of docs) {
+					const filterReason = this.getSyncFilterReason(doc);
+					if (filterReason) {
+						onFiltered?.(doc, filterReason);
+					} else {
+						allDocs.push(doc);
+					}
+				}
 
 				if (docs.length < API_BATCH_SIZE || allDocs.length >= maxDocuments) {
 					hasMore = false;
@@ -338,25 +830,47 @@ export default class GranolaSyncPlugin extends Plugin {
 		}
 	}
 
-	private async fetchTranscript(token: string, docId: string): Promise<TranscriptSegment[] | null> {
+	/**
+	 * Ids of every document Granola still has, ignoring the document limit and filters
+	 * @returns null when any page fails, so a partial listing is never mistaken for deletions
+	 */
+	private async fetchGranolaDocumentIds(): Promise<Set<string> | null> {
 		try {
-			const response = await requestUrl({
-				url: `${GRANOLA_API_BASE}/v1/get-document-transcript`,
-				method: 'POST',
-				headers: {
-					'Authorization': 'Bearer ' + token,
-					'Content-Type': 'application/json',
-					'Accept': 'application/json',
-				},
-				body: JSON.stringify({
-					'document_id': docId
-				})
-			});
+			const ids = new Set<string>();
+			let offset = 0;
+
+			while (true) {
+				const apiResponse = await this.api.getDocuments(offset, API_BATCH_SIZE, false);
+				if (!apiResponse || !apiResponse.docs) {
+					return null;
+				}
+
+				for (const doc of apiResponse.docs) {
+					ids.add(doc.id);
+				}
 
-			return response.json as TranscriptSegment[];
+				if (apiResponse.docs.length < API_BATCH_SIZE) {
+					return ids;
+				}
+				offset += API_BATCH_SIZE;
+			}
 		} catch (error) {
-			console.error('Error fetching transcript for document ' + docId + ':', error);
+			console.error('Error listing documents:', error);
+			return null;
+		}
+	}
+
+	/**
+	 * Fetch a document's transcript into doc.transcript
+	 * @returns The error when the download failed, so the document is retried on the next sync
+	 */
+	private async fetchTranscript(doc: GranolaDocument): Promise<Error | null> {
+		try {
+			doc.transcript = transcriptToMarkdown(await this.api.getTranscript(doc.id));
 			return null;
+		} catch (error) {
+			console.error('Error fetching transcript for document ' + doc.id + ':', error);
+			return new Error('Transcript download failed: ' + (error instanceof Error ? error.message : String(error)));
 		}
 	}
 
@@ -419,9 +933,28 @@ export default class GranolaSyncPlugin extends Plugin {
 		}
 	}
 
+	/**
+	 * Company names for the org field, resolved to organization notes where possible
+	 */
 	private extractCompanyNames(doc: GranolaDocument): string[] {
-		const companies = new Set<string>();
+		const names: string[] = [];
+		for (const company of this.extractCompanies(doc)) {
+			const name = this.getPeopleDirectory().findOrg(company.name, company.domain) ?? company.name;
+			if (!names.includes(name)) {
+				names.push(name);
+			}
+		}
+		return names;
+	}
+
+	private extractCompanies(doc: GranolaDocument): Company[] {
+		const companies = new Map<string, Company>();
 		const responseStatusMap = this.buildResponseStatusMap(doc);
+		const addCompany = (name: string, email: string | null | undefined): void => {
+			if (!companies.has(name)) {
+				companies.set(name, { name, domain: email?.split('@')[1]?.toLowerCase() || null });
+			}
+		};
 
 		try {
 			// Extract from people.attendees
@@ -438,7 +971,7 @@ export default class GranolaSyncPlugin extends Plugin {
 					if (attendee.details?.company?.name) {
 						const companyName = attendee.details.company.name.trim();
 						if (companyName) {
-							companies.add(companyName);
+							addCompany(companyName, email);
 							continue;
 						}
 					}
@@ -447,7 +980,7 @@ export default class GranolaSyncPlugin extends Plugin {
 					if (email) {
 						const companyFromEmail = extractCompanyFromEmail(email);
 						if (companyFromEmail) {
-							companies.add(companyFromEmail);
+							addCompany(companyFromEmail, email);
 						}
 					}
 				}
@@ -459,7 +992,7 @@ export default class GranolaSyncPlugin extends Plugin {
 				if (creator.details?.company?.name) {
 					const companyName = creator.details.company.name.trim();
 					if (companyName) {
-						companies.add(companyName);
+						addCompany(companyName, creator.email);
 					}
 				}
 			}
@@ -467,7 +1000,22 @@ export default class GranolaSyncPlugin extends Plugin {
 			console.error('Error extracting company names:', error);
 		}
 
-		return Array.from(companies);
+		return Array.from(companies.values());
+	}
+
+	/**
+	 * Company of a single attendee, from enrichment data or their email domain
+	 */
+	private getAttendeeCompany(doc: GranolaDocument, email: string | null): Company | null {
+		if (!email) return null;
+
+		const people = doc.people;
+		const persons = Array.isArray(people) ? people : (people?.attendees || []).concat(people?.creator ? [people.creator] : []);
+		const person = persons.find(p => p.email?.toLowerCase() === email);
+		const domain = email.split('@')[1]?.toLowerCase() || null;
+
+		const companyName = person?.details?.company?.name?.trim() || extractCompanyFromEmail(email);
+		return companyName ? { name: companyName, domain } : null;
 	}
 
 	private detectMeetingPlatform(doc: GranolaDocument): string {
@@ -587,8 +1135,11 @@ export default class GranolaSyncPlugin extends Plugin {
 		return '';
 	}
 
-	private extractAttendeeNames(doc: GranolaDocument): string[] {
-		const attendees: string[] = [];
+	/**
+	 * Attendee names with the email they were found under, if any
+	 */
+	private extractAttendees(doc: GranolaDocument): Attendee[] {
+		const attendees: Attendee[] = [];
 		const processedEmails = new Set<string>();
 		const responseStatusMap = this.buildResponseStatusMap(doc);
 
@@ -622,8 +1173,8 @@ export default class GranolaSyncPlugin extends Plugin {
 						name = person.name;
 					}
 
-					if (name && !attendees.includes(name)) {
-						attendees.push(name);
+					if (name && !attendees.some(attendee => attendee.name === name)) {
+						attendees.push({ name, email });
 						if (email) {
 							processedEmails.add(email);
 						}
@@ -643,8 +1194,8 @@ export default class GranolaSyncPlugin extends Plugin {
 						continue;
 					}
 
-					if (attendee.displayName && !attendees.includes(attendee.displayName)) {
-						attendees.push(attendee.displayName);
+					if (attendee.displayName && !attendees.some(existing => existing.name === attendee.displayName)) {
+						attendees.push({ name: attendee.displayName, email: attendee.email?.toLowerCase() ?? null });
 						if (attendee.email) {
 							processedEmails.add(attendee.email.toLowerCase());
 						}
@@ -667,8 +1218,8 @@ export default class GranolaSyncPlugin extends Plugin {
 
 						if (!hasName) {
 							const emailName = extractNameFromEmail(person.email);
-							if (!attendees.includes(emailName)) {
-								attendees.push(emailName);
+							if (!attendees.some(attendee => attendee.name === emailName)) {
+								attendees.push({ name: emailName, email: person.email.toLowerCase() });
 								processedEmails.add(person.email.toLowerCase());
 							}
 						}
@@ -687,8 +1238,8 @@ export default class GranolaSyncPlugin extends Plugin {
 
 						if (!attendee.displayName) {
 							const emailName = extractNameFromEmail(attendee.email);
-							if (!attendees.includes(emailName)) {
-								attendees.push(emailName);
+							if (!attendees.some(existing => existing.name === emailName)) {
+								attendees.push({ name: emailName, email: attendee.email.toLowerCase() });
 								processedEmails.add(attendee.email.toLowerCase());
 							}
 						}
@@ -744,42 +1295,42 @@ export default class GranolaSyncPlugin extends Plugin {
 		return emails;
 	}
 
-	private generatePeopleLinks(attendeeNames: string[], doc: GranolaDocument): string[] {
-		if (!attendeeNames || attendeeNames.length === 0) {
-			return [];
-		}
+	private isMyName(name: string, myName: string): boolean {
+		const myNameLower = myName.toLowerCase().trim();
+		const nameLower = name.toLowerCase().trim();
 
-		const links: string[] = [];
-		const myName = this.getEffectiveMyName(doc);
-
-		for (let name of attendeeNames) {
-			name = convertGermanUmlauts(name);
+		if (nameLower === myNameLower) {
+			return true;
+		}
 
-			if (this.settings.excludeMyNameFromPeople && myName) {
-				const myNameLower = myName.toLowerCase().trim();
-				const nameLower = name.toLowerCase().trim();
+		if (nameLower.includes(myNameLower) || myNameLower.includes(nameLower)) {
+			return true;
+		}
 
-				if (nameLower === myNameLower) {
-					continue;
-				}
+		const myNameParts = myNameLower.split(/[\s\-_]+/).filter(p => p.length > 1);
+		const nameParts = nameLower.split(/[\s\-_]+/).filter(p => p.length > 1);
 
-				if (nameLower.includes(myNameLower) || myNameLower.includes(nameLower)) {
-					continue;
-				}
+		const matchingParts = myNameParts.filter(part =>
+			nameParts.some(np => np.includes(part) || part.includes(np))
+		);
+		return matchingParts.length >= Math.min(myNameParts.length, nameParts.length) &&
+			matchingParts.length >= 2;
+	}
 
-				const myNameParts = myNameLower.split(/[\s\-_]+/).filter(p => p.length > 1);
-				const nameParts = nameLower.split(/[\s\-_]+/).filter(p => p.length > 1);
+	/**
+	 * Attendees to link from a meeting note, without yourself if so configured
+	 */
+	private getLinkedAttendees(doc: GranolaDocument): Attendee[] {
+		const myName = this.settings.excludeMyNameFromPeople ? this.getEffectiveMyName(doc) : '';
+		return this.extractAttendees(doc)
+			.filter(attendee => !myName || !this.isMyName(convertGermanUmlauts(attendee.name), myName));
+	}
 
-				const matchingParts = myNameParts.filter(part =>
-					nameParts.some(np => np.includes(part) || part.includes(np))
-				);
-				if (matchingParts.length >= Math.min(myNameParts.length, nameParts.length) &&
-					matchingParts.length >= 2) {
-					continue;
-				}
-			}
+	private generatePeopleLinks(attendees: Attendee[]): string[] {
+		const links: string[] = [];
 
-			const link = `[[${name}]]`;
+		for (const attendee of attendees) {
+			const link = `[[${this.resolvePersonLink(attendee)}]]`;
 			if (!links.includes(link)) {
 				links.push(link);
 			}
@@ -787,6 +1338,31 @@ export default class GranolaSyncPlugin extends Plugin {
 		return links;
 	}
 
+	/**
+	 * Link target for an attendee: their person note if one matches by email,
+	 * mapping or alias, otherwise the attendee's name
+	 */
+	private resolvePersonLink(attendee: Attendee): string {
+		const name = convertGermanUmlauts(attendee.name);
+		return this.getPeopleDirectory().findPerson([name, attendee.name], attendee.email) ?? name;
+	}
+
+	/**
+	 * Person and organization notes in the vault
+	 * Built lazily once per sync
+	 */
+	private getPeopleDirectory(): PeopleDirectory {
+		if (!this.peopleDirectory) {
+			this.peopleDirectory = new PeopleDirectory(this.app, {
+				peopleFolder: normalizePath(this.settings.peopleFolder || '/'),
+				orgFolder: normalizePath(this.settings.orgFolder || '/'),
+				mappings: this.settings.personMappings || [],
+				isMeetingNote: (file) => this.syncIndex.findIdByPath(file.path) !== null,
+			});
+		}
+		return this.peopleDirectory;
+	}
+
 	private getAttachmentFolder(noteFolder: string): string {
 		// getConfig is not in the public API types but exists at runtime
 		const attachmentFolderPath = (this.app.vault as any).getConfig('attachmentFolderPath') as string || '';
@@ -803,7 +1379,11 @@ export default class GranolaSyncPlugin extends Plugin {
 		}
 	}
 
-	private async downloadAttachments(doc: GranolaDocument, token: string, noteFolder: string): Promise<string[]> {
+	/**
+	 * Download a document's attachments into the attachment folder
+	 * Throws when any download fails, so the document is reported as failed and retried on the next sync
+	 */
+	private async downloadAttachments(doc: GranolaDocument, noteFolder: string): Promise<string[]> {
 		if (!this.settings.downloadAttachments) {
 			return [];
 		}
@@ -813,79 +1393,80 @@ export default class GranolaSyncPlugin extends Plugin {
 			return [];
 		}
 
-		const downloadedFiles: string[] = [];
 		const attachmentDir = this.getAttachmentFolder(noteFolder);
+		if (attachmentDir && !this.app.vault.getFolderByPath(attachmentDir)) {
+			await this.app.vault.createFolder(attachmentDir);
+		}
 
-		try {
-			if (attachmentDir) {
-				const folder = this.app.vault.getFolderByPath(attachmentDir);
-				if (!folder) {
-					await this.app.vault.createFolder(attachmentDir);
-				}
+		const downloads = await mapWithConcurrency(attachments, API_CONCURRENCY, async (attachment, i): Promise<string | Error | null> => {
+			const url = attachment.url || attachment.file_url || attachment.download_url;
+			if (!url) {
+				console.warn('Attachment has no URL:', attachment);
+				return null;
 			}
 
-			for (let i = 0; i < attachments.length; i++) {
-				const attachment = attachments[i];
-				try {
-					const url = attachment.url || attachment.file_url || attachment.download_url;
+			try {
+				const response = await this.api.downloadAttachment(url);
+				if (!response.arrayBuffer) {
+					throw new Error('No data received for ' + url);
+				}
 
-					if (!url) {
-						console.warn('Attachment has no URL:', attachment);
-						continue;
-					}
+				const contentType = response.headers?.['content-type'] || response.headers?.['Content-Type'];
+				const filename = this.getAttachmentFilename(doc, attachment, i, contentType);
+				const filePath = attachmentDir ? path.join(attachmentDir, filename) : filename;
 
-					const isCdnUrl = url.includes('cloudfront.net') || url.includes('cdn.');
-					const requestOptions: { url: string; method: string; headers?: Record<string, string> } = {
-						url: url,
-						method: 'GET',
-					};
-					if (!isCdnUrl) {
-						requestOptions.headers = {
-							'Authorization': 'Bearer ' + token,
-						};
-					}
+				const existingFile = this.app.vault.getAbstractFileByPath(filePath);
+				if (!existingFile) {
+					await this.app.vault.createBinary(filePath, response.arrayBuffer);
+				}
 
-					const response = await requestUrl(requestOptions);
+				return filename;
+			} catch (error) {
+				console.error('Error downloading attachment:', url, error);
+				return error instanceof Error ? error : new Error(String(error));
+			}
+		});
 
-					if (response.arrayBuffer) {
-						const contentType = response.headers?.['content-type'] || response.headers?.['Content-Type'];
-						const ext = getAttachmentExtension(attachment, contentType);
+		const failure = downloads.find((download): download is Error => download instanceof Error);
+		if (failure) {
+			throw new Error('Attachment download failed: ' + failure.message);
+		}
 
-						let baseFilename = attachment.filename || attachment.name;
-						if (!baseFilename) {
-							baseFilename = `attachment_${i + 1}`;
-						}
+		return downloads.filter((filename): filename is string => typeof filename === 'string');
+	}
 
-						baseFilename = baseFilename.replace(/\.\w{3,4}$/, '');
+	private getAttachmentFilename(doc: GranolaDocument, attachment: GranolaAttachment, index: number, contentType?: string): string {
+		const ext = getAttachmentExtension(attachment, contentType);
 
-						const noteDate = doc.created_at ? formatDate(doc.created_at, 'YYYY-MM-DD_HH-mm') : '';
-						const filename = noteDate
-							? `${noteDate}_${baseFilename}.${ext}`
-							: `${baseFilename}.${ext}`;
+		let baseFilename = attachment.filename || attachment.name;
+		if (!baseFilename) {
+			baseFilename = `attachment_${index + 1}`;
+		}
 
-						const filePath = attachmentDir ? path.join(attachmentDir, filename) : filename;
+		baseFilename = baseFilename.replace(/\.\w{3,4}$/, '');
 
-						const existingFile = this.app.vault.getAbstractFileByPath(filePath);
-						if (!existingFile) {
-							await this.app.vault.createBinary(filePath, response.arrayBuffer);
-						}
+		const noteDate = doc.created_at ? formatDate(doc.created_at, 'YYYY-MM-DD_HH-mm') : '';
+		return noteDate
+			? `${noteDate}_${baseFilename}.${ext}`
+			: `${baseFilename}.${ext}`;
+	}
 
-						downloadedFiles.push(filename);
-					} else {
-						console.warn('No data received for attachment:', url);
-					}
-				} catch (attachmentError) {
-					console.error('Error downloading attachment:', attachment.url, attachmentError);
-				}
-			}
-		} catch (error) {
-			console.error('Error processing attachments:', error);
+	/**
+	 * Attachment filenames a sync would write, without downloading anything
+	 */
+	private getPlannedAttachmentFilenames(doc: GranolaDocument): string[] {
+		if (!this.settings.downloadAttachments || !Array.isArray(doc.attachments)) {
+			return [];
 		}
 
-		return downloadedFiles;
+		return doc.attachments
+			.map((attachment, i) => (attachment.url || attachment.file_url || attachment.download_url)
+				? this.getAttachmentFilename(doc, attachment, i)
+				: '')
+			.filter(filename => filename);
 	}
 
-	private generateFilename(doc: GranolaDocument): string {
+	private generateFilename(doc: GranolaDocument, filenameTemplate: string = this.settings.filenameTemplate): string {
 		const title = doc.title || 'Untitled Granola Note';
 		const docId = doc.id || 'unknown_id';
 
@@ -908,7 +1489,7 @@ export default class GranolaSyncPlugin extends Plugin {
 			updatedDateTime = formatDate(doc.updated_at, this.settings.dateFormat + '_HH-mm-ss');
 		}
 
-		let filename = this.settings.filenameTemplate
+		let filename = expandDateTokens(filenameTemplate, this.getMeetingDate(doc))
 			.replace(/{title}/g, title)
 			.replace(/{id}/g, docId)
 			.replace(/{created_date}/g, createdDate)
@@ -931,7 +1512,91 @@ export default class GranolaSyncPlugin extends Plugin {
 		return filename;
 	}
 
-	private buildNoteContent(doc: GranolaDocument, transcript: string, attachmentFilenames: string[] = []): string {
+	private getMeetingDate(doc: GranolaDocument): Date {
+		return new Date(doc.google_calendar_event?.start?.dateTime || doc.created_at);
+	}
+
+	private getRoutingFacts(doc: GranolaDocument): RoutingFacts {
+		const calendarEvent = doc.google_calendar_event;
+		const selfEmails = (calendarEvent?.attendees || [])
+			.filter(attendee => attendee.self && attendee.email)
+			.map(attendee => attendee.email!.toLowerCase());
+
+		return {
+			title: calendarEvent?.summary || doc.title || '',
+			domains: this.extractAttendeeEmails(doc)
+				.filter(email => !selfEmails.includes(email.toLowerCase()))
+				.map(email => email.split('@')[1]?.toLowerCase() || '')
+				.filter(domain => domain),
+			orgs: this.extractCompanies(doc).map(company => company.name).concat(this.extractCompanyNames(doc)),
+			creationSource: doc.creation_source || '',
+			recurring: !!(calendarEvent?.recurringEventId || calendarEvent?.recurrence?.length),
+			date: this.getMeetingDate(doc),
+		};
+	}
+
+	/**
+	 * Why the sync filters exclude a document, or null to sync it
+	 */
+	private getSyncFilterReason(doc: GranolaDocument): string | null {
+		let contentLength: number | null = null;
+		if (this.settings.minContentLength > 0) {
+			const myNotes = this.extractPanelContent(doc, 'my_notes');
+			const enhancedNotes = this.extractPanelContent(doc, 'enhanced_notes');
+			contentLength = (myNotes ? convertProseMirrorToMarkdown(myNotes).trim().length : 0)
+				+ (enhancedNotes ? convertProseMirrorToMarkdown(enhancedNotes).trim().length : 0);
+		}
+
+		return getFilterReason(this.settings, {
+			...this.getRoutingFacts(doc),
+			privacyMode: !!doc.privacy_mode_enabled,
+			validMeeting: doc.valid_meeting !== false,
+			contentLength,
+		});
+	}
+
+	/**
+	 * Destination folder and filename (without extension) for a document
+	 * The first matching routing rule wins, otherwise the sync directory and
+	 * filename template are used
+	 */
+	private resolveNoteLocation(doc: GranolaDocument): { folder: string; filename: string } {
+		const rule = findRoutingRule(this.settings.routingRules || [], this.getRoutingFacts(doc));
+		const folder = rule?.folder
+			? expandDateTokens(rule.folder, this.getMeetingDate(doc)).replace(/^\/+|\/+$/g, '')
+			: this.settings.syncDirectory;
+
+		return {
+			folder,
+			filename: this.generateFilename(doc, rule?.filenameTemplate || this.settings.filenameTemplate),
+		};
+	}
+
+	private buildAttachmentLinks(attachmentFilenames: string[]): string {
+		return attachmentFilenames.map(filePath => {
+			const ext = filePath.split('.').pop()?.toLowerCase() || '';
+			if (IMAGE_EXTENSIONS.includes(ext)) {
+				return '![[' + filePath + ']]';
+			} else {
+				return '[[' + filePath + ']]';
+			}
+		}).join('\n');
+	}
+
+	private buildNoteContent(
+		doc: GranolaDocument,
+		transcript: string,
+		attachmentFilenames: string[] = [],
+		template: string | null = null
+	): string {
+		if (template !== null) {
+			try {
+				return renderTemplate(template, this.buildTemplateContext(doc, transcript, attachmentFilenames));
+			} catch (error) {
+				console.error('Error rendering note template, using default layout:', error);
+			}
+		}
+
 		const sections: string[] = [];
 		const noteTitle = doc.title || 'Untitled Granola Note';
 
@@ -941,39 +1606,352 @@ export default class GranolaSyncPlugin extends Plugin {
 		if (myNotesContent && this.settings.includeMyNotes) {
 			const myNotesMarkdown = convertProseMirrorToMarkdown(myNotesContent);
 			if (myNotesMarkdown && myNotesMarkdown.trim()) {
-				sections.push('\n## My Notes\n\n' + myNotesMarkdown.trim());
+				sections.push('\n' + wrapManagedBlock('my_notes', '## My Notes\n\n' + myNotesMarkdown.trim()));
 			}
 		}
 
-		const enhancedNotesContent = this.extractPanelContent(doc, 'enhanced_notes');
-		if (enhancedNotesContent && this.settings.includeEnhancedNotes) {
-			const enhancedNotesMarkdown = convertProseMirrorToMarkdown(enhancedNotesContent);
+		if (this.settings.includeEnhancedNotes) {
+			const enhancedNotesMarkdown = this.renderEnhancedNotes(doc).markdown;
 			if (enhancedNotesMarkdown && enhancedNotesMarkdown.trim()) {
 				if (myNotesContent && this.settings.includeMyNotes) {
-					sections.push('\n## Enhanced Notes\n\n' + enhancedNotesMarkdown.trim());
+					sections.push('\n' + wrapManagedBlock('enhanced_notes', '## Enhanced Notes\n\n' + enhancedNotesMarkdown.trim()));
 				} else {
-					sections.push('\n' + enhancedNotesMarkdown.trim());
+					sections.push('\n' + wrapManagedBlock('enhanced_notes', enhancedNotesMarkdown.trim()));
 				}
 			}
 		}
 
 		if (this.settings.includeFullTranscript && transcript && transcript !== 'no_transcript') {
-			sections.push('\n## Transcript\n\n' + transcript);
+			sections.push('\n' + wrapManagedBlock('transcript', '## Transcript\n\n' + transcript));
 		}
 
 		if (attachmentFilenames.length > 0) {
-			const attachmentLines = attachmentFilenames.map(filePath => {
-				const ext = filePath.split('.').pop()?.toLowerCase() || '';
-				if (IMAGE_EXTENSIONS.includes(ext)) {
-					return '![[' + filePath + ']]';
-				} else {
-					return '[[' + filePath + ']]';
+			sections.push('\n' + wrapManagedBlock('attachments', '## Attachments\n\n' + this.buildAttachmentLinks(attachmentFilenames)));
+		}
+
+		return sections.join('\n');
+	}
+
+	/**
+	 * Convert enhanced notes to Markdown, turning action item sections into tasks
+	 */
+	private renderEnhancedNotes(doc: GranolaDocument): { markdown: string; actionItems: ActionItem[] } {
+		const content = this.extractPanelContent(doc, 'enhanced_notes');
+		if (!content) {
+			return { markdown: '', actionItems: [] };
+		}
+
+		if (!this.settings.extractActionItems) {
+			return { markdown: convertProseMirrorToMarkdown(content), actionItems: [] };
+		}
+
+		const owners = this.getTaskOwners(doc);
+		const { content: converted, items } = extractActionItems(content, {
+			headings: this.settings.actionItemHeadings.split(','),
+			attendeeNames: Array.from(owners.keys()),
+			resolveOwner: name => owners.get(name) ?? name,
+			meetingDate: new Date(doc.google_calendar_event?.start?.dateTime || doc.created_at),
+		});
+		return { markdown: convertProseMirrorToMarkdown(converted), actionItems: items };
+	}
+
+	/**
+	 * Everyone an action item can be assigned to, including yourself,
+	 * mapped to the person note their task links point at
+	 */
+	private getTaskOwners(doc: GranolaDocument): Map<string, string> {
+		const owners = new Map<string, string>();
+		for (const attendee of this.extractAttendees(doc)) {
+			const name = convertGermanUmlauts(attendee.name);
+			if (!owners.has(name)) {
+				owners.set(name, this.resolvePersonLink(attendee));
+			}
+		}
+
+		const myName = this.getEffectiveMyName(doc);
+		if (myName && !owners.has(myName)) {
+			const selfEmail = doc.google_calendar_event?.attendees?.find(attendee => attendee.self)?.email ?? null;
+			owners.set(myName, this.resolvePersonLink({ name: myName, email: selfEmail }));
+		}
+		return owners;
+	}
+
+	/**
+	 * Collect a meeting's action items into the shared meeting tasks note
+	 * Each meeting gets its own managed block with a backlink to the meeting
+	 */
+	private async updateMeetingTasksNote(doc: GranolaDocument, meetingNotePath: string): Promise<void> {
+		if (!this.settings.enableMeetingTasksNote || !this.settings.meetingTasksNotePath) {
+			return;
+		}
+
+		const { actionItems } = this.renderEnhancedNotes(doc);
+		if (actionItems.length === 0) {
+			return;
+		}
+
+		try {
+			const tasksPath = normalizePath(this.settings.meetingTasksNotePath.endsWith('.md')
+				? this.settings.meetingTasksNotePath
+				: this.settings.meetingTasksNotePath + '.md');
+			const title = doc.title || 'Untitled Granola Note';
+			const meetingDate = formatDate(doc.google_calendar_event?.start?.dateTime || doc.created_at, 'YYYY-MM-DD');
+			const link = '[[' + meetingNotePath.replace(/\.md$/, '') + '|' + title + ']]';
+			const block = wrapManagedBlock(
+				`tasks-${doc.id}`,
+				'### ' + link + ' (' + meetingDate + ')\n' + actionItems.map(item => item.markdown).join('\n')
+			);
+
+			const tasksFile = this.app.vault.getAbstractFileByPath(tasksPath);
+			if (!(tasksFile instanceof TFile)) {
+				const folderPath = path.dirname(tasksPath);
+				if (folderPath && folderPath !== '.' && !this.app.vault.getFolderByPath(folderPath)) {
+					await this.app.vault.createFolder(folderPath);
 				}
+				const heading = '# ' + path.basename(tasksPath, '.md');
+				await this.app.vault.create(tasksPath, heading + '\n\n' + block + '\n');
+				return;
+			}
+
+			let editedLocally = false;
+			await this.app.vault.process(tasksFile, (content) => {
+				const updated = upsertManagedBlock(content, block);
+				if (updated === null) {
+					editedLocally = true;
+					return content;
+				}
+				return updated;
 			});
-			sections.push('\n## Attachments\n\n' + attachmentLines.join('\n'));
+
+			if (editedLocally) {
+				console.warn('Granola sync conflict in ' + tasksPath + ': tasks for "' + title + '" edited locally, left unchanged');
+			}
+		} catch (error) {
+			console.error('Error updating meeting tasks note:', error);
 		}
+	}
 
-		return sections.join('\n');
+	/**
+	 * Add a meeting to the "Meetings" list of its attendees' person notes and
+	 * organization notes, creating missing notes when enabled
+	 */
+	private async updatePeopleNotes(doc: GranolaDocument, meetingNotePath: string): Promise<void> {
+		if (!this.settings.createPersonNotes && !this.settings.createOrgNotes) {
+			return;
+		}
+
+		const title = doc.title || 'Untitled Granola Note';
+		const meetingDate = doc.google_calendar_event?.start?.dateTime || doc.created_at;
+		const meetingLink = '[[' + meetingNotePath.replace(/\.md$/, '') + '|' + title + ']]';
+		const entry = '- ' + formatDate(meetingDate, 'YYYY-MM-DD') + ' ' + meetingLink;
+
+		if (this.settings.createPersonNotes) {
+			for (const attendee of this.getLinkedAttendees(doc)) {
+				try {
+					const company = this.getAttendeeCompany(doc, attendee.email);
+					const org = company ? this.getPeopleDirectory().findOrg(company.name, company.domain) ?? company.name : '';
+					const file = await this.getOrCreateIdentityNote('person', this.resolvePersonLink(attendee), {
+						name: convertGermanUmlauts(attendee.name),
+						email: attendee.email || '',
+						emails: attendee.email ? [attendee.email] : [],
+						company: company?.name || '',
+						org: org ? '[[' + org + ']]' : '',
+						date: meetingDate,
+						meeting: meetingLink,
+					});
+					if (file) {
+						await this.addMeetingToNote(file, meetingNotePath, entry);
+					}
+				} catch (error) {
+					console.error('Error updating person note for ' + attendee.name + ':', error);
+				}
+			}
+		}
+
+		if (this.settings.createOrgNotes) {
+			for (const company of this.extractCompanies(doc)) {
+				try {
+					const target = this.getPeopleDirectory().findOrg(company.name, company.domain) ?? company.name;
+					const file = await this.getOrCreateIdentityNote('org', target, {
+						name: company.name,
+						domain: company.domain || '',
+						domains: company.domain ? [company.domain] : [],
+						date: meetingDate,
+						meeting: meetingLink,
+					});
+					if (file) {
+						await this.addMeetingToNote(file, meetingNotePath, entry);
+					}
+				} catch (error) {
+					console.error('Error updating organization note for ' + company.name + ':', error);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Find the note a person or organization link points to, or create it in
+	 * the people/organizations folder from the configured template
+	 */
+	private async getOrCreateIdentityNote(kind: 'person' | 'org', linkTarget: string, context: TemplateContext): Promise<TFile | null> {
+		const existing = this.app.metadataCache.getFirstLinkpathDest(linkTarget, '');
+		if (existing) {
+			return existing;
+		}
+
+		const enabled = kind === 'person' ? this.settings.createPersonNotes : this.settings.createOrgNotes;
+		const folder = kind === 'person' ? this.settings.peopleFolder : this.settings.orgFolder;
+		const filename = path.basename(linkTarget).replace(/[\\/:|?*"<>#^[\]]/g, '').trim();
+		if (!enabled || !filename) {
+			return null;
+		}
+
+		const filePath = normalizePath(folder ? folder + '/' + filename + '.md' : filename + '.md');
+		const fileAtPath = this.app.vault.getAbstractFileByPath(filePath);
+		if (fileAtPath instanceof TFile) {
+			return fileAtPath;
+		}
+
+		if (folder && !this.app.vault.getFolderByPath(normalizePath(folder))) {
+			await this.app.vault.createFolder(normalizePath(folder));
+		}
+
+		const templatePath = kind === 'person' ? this.settings.personNoteTemplatePath : this.settings.orgNoteTemplatePath;
+		const template = await this.readTemplateFile(templatePath);
+		let content: string | null = null;
+		if (template !== null) {
+			try {
+				content = renderTemplate(template, context);
+			} catch (error) {
+				console.error('Error rendering ' + kind + ' note template, using default layout:', error);
+			}
+		}
+		if (content === null) {
+			content = kind === 'person' ? this.buildPersonNoteContent(context) : this.buildOrgNoteContent(context);
+		}
+		if (!/^##\s+Meetings\s*$/im.test(content)) {
+			content = content.replace(/\s*$/, '\n\n## Meetings\n');
+		}
+
+		const file = await this.app.vault.create(filePath, content);
+		if (kind === 'person') {
+			this.getPeopleDirectory().addPerson(file, context.emails as string[]);
+		} else {
+			this.getPeopleDirectory().addOrg(file, context.domains as string[]);
+		}
+		return file;
+	}
+
+	private buildPersonNoteContent(context: TemplateContext): string {
+		let frontmatter = '---\n';
+		const emails = context.emails as string[];
+		frontmatter += emails.length > 0 ? 'emails:\n' + emails.map(email => '  - ' + escapeYamlValue(email) + '\n').join('') : 'emails:\n';
+		frontmatter += context.org ? 'org:\n  - ' + escapeYamlValue(context.org as string) + '\n' : 'org:\n';
+		frontmatter += 'aliases:\n';
+		frontmatter += '---\n';
+		return frontmatter + '# ' + context.name + '\n\n## Meetings\n';
+	}
+
+	private buildOrgNoteContent(context: TemplateContext): string {
+		let frontmatter = '---\n';
+		const domains = context.domains as string[];
+		frontmatter += domains.length > 0 ? 'domains:\n' + domains.map(domain => '  - ' + escapeYamlValue(domain) + '\n').join('') : 'domains:\n';
+		frontmatter += 'aliases:\n';
+		frontmatter += '---\n';
+		return frontmatter + '# ' + context.name + '\n\n## Meetings\n';
+	}
+
+	private async addMeetingToNote(file: TFile, meetingNotePath: string, entry: string): Promise<void> {
+		const isMeetingLink = (linkpath: string): boolean =>
+			this.app.metadataCache.getFirstLinkpathDest(linkpath, file.path)?.path === meetingNotePath;
+		await this.app.vault.process(file, (content) => addMeetingToList(content, entry, isMeetingLink) ?? content);
+	}
+
+	/**
+	 * Values available to note body templates
+	 * Note sections are managed blocks; everything else is plain data
+	 */
+	private buildTemplateContext(doc: GranolaDocument, transcript: string, attachmentFilenames: string[]): TemplateContext {
+		const myNotesContent = this.settings.includeMyNotes ? this.extractPanelContent(doc, 'my_notes') : null;
+		const enhancedNotes = this.settings.includeEnhancedNotes ? this.renderEnhancedNotes(doc) : { markdown: '', actionItems: [] };
+		const hasTranscript = this.settings.includeFullTranscript && transcript && transcript !== 'no_transcript';
+
+		const peopleLinks = this.generatePeopleLinks(this.getLinkedAttendees(doc));
+		const calendarEvent = doc.google_calendar_event;
+
+		return {
+			title: doc.title || 'Untitled Granola Note',
+			id: doc.id,
+			granola_url: 'https://notes.granola.ai/d/' + doc.id,
+			my_notes: new ManagedSection('my_notes', myNotesContent ? convertProseMirrorToMarkdown(myNotesContent) : ''),
+			enhanced_notes: new ManagedSection('enhanced_notes', enhancedNotes.markdown),
+			action_items: new ManagedSection('action_items', enhancedNotes.actionItems.map(item => item.markdown).join('\n')),
+			transcript: new ManagedSection('transcript', hasTranscript ? transcript : ''),
+			attachments: new ManagedSection('attachments', this.buildAttachmentLinks(attachmentFilenames)),
+			attendees: peopleLinks.map(link => link.slice(2, -2)),
+			people: peopleLinks,
+			emails: this.extractAttendeeEmails(doc),
+			org: this.extractCompanyNames(doc),
+			loc: this.detectMeetingPlatform(doc),
+			date: calendarEvent?.start?.dateTime || doc.created_at,
+			dateEnd: calendarEvent?.end?.dateTime || '',
+			created: doc.created_at,
+			updated: doc.updated_at,
+			calendar: {
+				title: calendarEvent?.summary || '',
+				description: calendarEvent?.description || '',
+				location: calendarEvent?.location || '',
+				start: calendarEvent?.start?.dateTime || '',
+				end: calendarEvent?.end?.dateTime || '',
+			},
+		};
+	}
+
+	/**
+	 * Pick the body template for a document: the first matching template rule,
+	 * then the default template. Returns null to use the built-in layout.
+	 */
+	private async resolveNoteTemplate(doc: GranolaDocument, noteFolder: string): Promise<string | null> {
+		let templatePath = this.settings.noteTemplatePath;
+		const calendarTitle = doc.google_calendar_event?.summary || doc.title || '';
+
+		for (const rule of this.settings.templateRules || []) {
+			if (!rule.templatePath || (!rule.titlePattern && !rule.folder)) continue;
+
+			if (rule.folder) {
+				const folder = normalizePath(rule.folder);
+				if (noteFolder !== folder && !noteFolder.startsWith(folder + '/')) continue;
+			}
+
+			if (rule.titlePattern) {
+				try {
+					if (!new RegExp(rule.titlePattern, 'i').test(calendarTitle)) continue;
+				} catch (error) {
+					console.error('Invalid template rule pattern:', rule.titlePattern, error);
+					continue;
+				}
+			}
+
+			templatePath = rule.templatePath;
+			break;
+		}
+
+		return await this.readTemplateFile(templatePath);
+	}
+
+	private async readTemplateFile(templatePath: string): Promise<string | null> {
+		if (!templatePath) {
+			return null;
+		}
+
+		const normalizedPath = normalizePath(templatePath.endsWith('.md') ? templatePath : templatePath + '.md');
+		const file = this.app.vault.getAbstractFileByPath(normalizedPath);
+		if (!(file instanceof TFile)) {
+			console.error('Note template not found:', normalizedPath);
+			return null;
+		}
+
+		return await this.app.vault.cachedRead(file);
 	}
 
 	private isFieldEnabled(fieldKey: string): boolean {
@@ -988,8 +1966,7 @@ export default class GranolaSyncPlugin extends Plugin {
 		const title = doc.title || 'Untitled Granola Note';
 		const docId = doc.id || 'unknown_id';
 
-		const attendeeNames = this.extractAttendeeNames(doc);
-		const peopleLinks = this.generatePeopleLinks(attendeeNames, doc);
+		const peopleLinks = this.generatePeopleLinks(this.getLinkedAttendees(doc));
 		const attendeeEmails = this.extractAttendeeEmails(doc);
 		const companyNames = this.extractCompanyNames(doc);
 		const meetingPlatform = this.detectMeetingPlatform(doc);
@@ -1100,145 +2077,265 @@ export default class GranolaSyncPlugin extends Plugin {
 		return frontmatter;
 	}
 
-	private async findExistingNoteByGranolaId(granolaId: string): Promise<TFile | null> {
-		const folder = this.app.vault.getFolderByPath(this.settings.syncDirectory);
-		if (!folder) {
-			return null;
+	private getGranolaId(file: TFile): string | null {
+		const cache = this.app.metadataCache.getFileCache(file);
+		if (cache?.frontmatter?.granola_id) {
+			return String(cache.frontmatter.granola_id).trim();
 		}
+		return null;
+	}
 
-		const filesToSearch = folder.children.filter(
-			(file): file is TFile => file instanceof TFile && file.extension === 'md'
-		);
+	/**
+	 * Map of granola_id → note for every markdown file in the vault
+	 * Built lazily once per sync, only when the sync index misses
+	 */
+	private getVaultIdLookup(): Map<string, TFile> {
+		if (this.vaultIdLookup) {
+			return this.vaultIdLookup;
+		}
 
-		for (const file of filesToSearch) {
+		const lookup = new Map<string, TFile>();
+		for (const file of this.app.vault.getMarkdownFiles()) {
 			try {
-				const cache = this.app.metadataCache.getFileCache(file);
-				if (cache?.frontmatter?.granola_id) {
-					const cachedId = String(cache.frontmatter.granola_id).trim();
-					if (cachedId === granolaId) {
-						return file;
-					}
+				const granolaId = this.getGranolaId(file);
+				if (granolaId && !lookup.has(granolaId)) {
+					lookup.set(granolaId, file);
 				}
 			} catch (error) {
 				console.error('Error checking file for Granola ID:', file.path, error);
 			}
 		}
 
-		return null;
+		this.vaultIdLookup = lookup;
+		return lookup;
 	}
 
-	private async processDocument(doc: GranolaDocument, token: string): Promise<boolean> {
-		try {
-			const title = doc.title || 'Untitled Granola Note';
-			const docId = doc.id || 'unknown_id';
-			const transcript = doc.transcript || 'no_transcript';
+	private async findExistingNoteByGranolaId(granolaId: string): Promise<TFile | null> {
+		const entry = this.syncIndex.get(granolaId);
+		if (entry) {
+			const indexedFile = this.app.vault.getAbstractFileByPath(entry.path);
+			if (indexedFile instanceof TFile) {
+				// Freshly written notes may not be in the metadata cache yet
+				const cachedId = this.getGranolaId(indexedFile);
+				if (cachedId === null || cachedId === granolaId) {
+					return indexedFile;
+				}
+			}
+		}
 
-			const myNotesContent = this.extractPanelContent(doc, 'my_notes');
-			const enhancedNotesContent = this.extractPanelContent(doc, 'enhanced_notes');
+		// Note was moved or renamed outside Obsidian, search the whole vault
+		const file = this.getVaultIdLookup().get(granolaId) ?? null;
+		if (file && entry && entry.path !== file.path) {
+			this.syncIndex.set(granolaId, { ...entry, path: file.path });
+		}
+		return file;
+	}
 
-			const myNotesMarkdown = myNotesContent ? convertProseMirrorToMarkdown(myNotesContent).trim() : '';
-			const enhancedNotesMarkdown = enhancedNotesContent ? convertProseMirrorToMarkdown(enhancedNotesContent).trim() : '';
+	private getNoteContentFingerprint(): string {
+		return hashContent(JSON.stringify(NOTE_CONTENT_SETTINGS.map(key => this.settings[key])));
+	}
 
-			const hasMyNotes = !!myNotesMarkdown && this.settings.includeMyNotes;
-			const hasEnhancedNotes = !!enhancedNotesMarkdown && this.settings.includeEnhancedNotes;
-			const hasTranscript = this.settings.includeFullTranscript && transcript && transcript !== 'no_transcript';
-			const hasAttachments = this.settings.downloadAttachments && doc.attachments && doc.attachments.length > 0;
+	private async isDocumentUnchanged(doc: GranolaDocument): Promise<boolean> {
+		const entry = this.syncIndex.get(doc.id);
+		if (!entry || !doc.updated_at || entry.updatedAt !== doc.updated_at) {
+			return false;
+		}
+		return (await this.findExistingNoteByGranolaId(doc.id)) !== null;
+	}
 
-			if (!hasMyNotes && !hasEnhancedNotes && !hasTranscript && !hasAttachments) {
-				return false;
-			}
+	private recordSyncedNote(doc: GranolaDocument, filePath: string): void {
+		this.syncIndex.set(doc.id, {
+			path: filePath,
+			title: doc.title || 'Untitled Granola Note',
+			createdAt: doc.created_at,
+			updatedAt: doc.updated_at,
+		});
+	}
 
-			const attachmentFilenames = await this.downloadAttachments(doc, token, this.settings.syncDirectory);
+	private collectTodaysNotes(): TodaysNote[] {
+		const today = new Date().toDateString();
+		const todaysNotes: TodaysNote[] = [];
 
-			const existingFile = await this.findExistingNoteByGranolaId(docId);
+		for (const [, entry] of this.syncIndex.entries()) {
+			if (!entry.createdAt) continue;
 
-			if (existingFile) {
-				if (this.settings.skipExistingNotes) {
-					const cache = this.app.metadataCache.getFileCache(existingFile);
-					const storedNoteEnded = cache?.frontmatter?.noteEnded as string | undefined;
-					const apiUpdatedAt = formatDateTimeProperty(doc.updated_at);
+			const createdDate = new Date(entry.createdAt);
+			if (createdDate.toDateString() !== today) continue;
 
-					if (storedNoteEnded && apiUpdatedAt && apiUpdatedAt > storedNoteEnded) {
-						const noteContent = this.buildNoteContent(doc, transcript, attachmentFilenames);
-						await this.app.vault.process(existingFile, (existingContent) => {
-							const frontmatterMatch = existingContent.match(/^---\n([\s\S]*?)\n---\n/);
-							if (frontmatterMatch) {
-								let existingFrontmatter = frontmatterMatch[1];
-								existingFrontmatter = existingFrontmatter.replace(
-									/^noteEnded:.*$/m,
-									'noteEnded: ' + apiUpdatedAt
-								);
-								return '---\n' + existingFrontmatter + '\n---\n' + noteContent;
-							}
-							const frontmatter = this.buildFrontmatter(doc, attachmentFilenames);
-							return frontmatter + noteContent;
-						});
-					}
-					return true;
-				}
+			const hours = String(createdDate.getHours()).padStart(2, '0');
+			const minutes = String(createdDate.getMinutes()).padStart(2, '0');
+			todaysNotes.push({
+				title: entry.title,
+				actualFilePath: entry.path,
+				time: hours + ':' + minutes
+			});
+		}
 
-				const frontmatter = this.buildFrontmatter(doc, attachmentFilenames);
-				const noteContent = this.buildNoteContent(doc, transcript, attachmentFilenames);
-				const finalMarkdown = frontmatter + noteContent;
+		return todaysNotes;
+	}
 
-				await this.app.vault.process(existingFile, () => finalMarkdown);
-				return true;
-			}
+	/**
+	 * Create or update the note for one document
+	 * In a dry run nothing is written; the result says what would happen.
+	 */
+	private async processDocument(doc: GranolaDocument, options: ProcessOptions = {}): Promise<SyncResult> {
+		const docId = doc.id || 'unknown_id';
+		const transcript = doc.transcript || 'no_transcript';
 
-			// Create new note
-			const frontmatter = this.buildFrontmatter(doc, attachmentFilenames);
-			const noteContent = this.buildNoteContent(doc, transcript, attachmentFilenames);
-			const finalMarkdown = frontmatter + noteContent;
+		const myNotesContent = this.extractPanelContent(doc, 'my_notes');
 
-			const filename = this.generateFilename(doc) + '.md';
-			const targetDirectory = this.settings.syncDirectory;
-			const filepath = path.join(targetDirectory, filename);
+		const myNotesMarkdown = myNotesContent ? convertProseMirrorToMarkdown(myNotesContent).trim() : '';
+		const enhancedNotesMarkdown = this.renderEnhancedNotes(doc).markdown.trim();
 
-			let finalFilepath = filepath;
-			const existingFileByName = this.app.vault.getAbstractFileByPath(filepath);
-			if (existingFileByName && existingFileByName instanceof TFile) {
-				try {
-					const cache = this.app.metadataCache.getFileCache(existingFileByName);
-					if (cache?.frontmatter?.granola_id) {
-						const cachedId = String(cache.frontmatter.granola_id).trim();
-						if (cachedId === docId) {
-							await this.app.vault.modify(existingFileByName, finalMarkdown);
-							return true;
-						}
+		const hasMyNotes = !!myNotesMarkdown && this.settings.includeMyNotes;
+		const hasEnhancedNotes = !!enhancedNotesMarkdown && this.settings.includeEnhancedNotes;
+		const hasTranscript = this.settings.includeFullTranscript && transcript && transcript !== 'no_transcript';
+		const hasAttachments = this.settings.downloadAttachments && doc.attachments && doc.attachments.length > 0;
+
+		if (!hasMyNotes && !hasEnhancedNotes && !hasTranscript && !hasAttachments) {
+			return this.createSyncResult(doc, 'skip', 'No notes, transcript or attachments to sync');
+		}
+
+		const existingFile = await this.findExistingNoteByGranolaId(docId);
+
+		if (existingFile) {
+			if (this.settings.skipExistingNotes && !options.force) {
+				const cache = this.app.metadataCache.getFileCache(existingFile);
+				const storedNoteEnded = cache?.frontmatter?.noteEnded as string | undefined;
+				const apiUpdatedAt = formatDateTimeProperty(doc.updated_at);
+
+				if (!storedNoteEnded || !apiUpdatedAt || apiUpdatedAt <= storedNoteEnded) {
+					if (!options.dryRun) {
+						this.recordSyncedNote(doc, existingFile.path);
 					}
-				} catch (error) {
-					console.error('Error checking existing file:', error);
+					return this.createSyncResult(doc, 'skip', 'Existing note is up to date (skip existing notes is on)', existingFile.path);
 				}
+			}
 
-				if (this.settings.existingFileAction === 'skip') {
-					return false;
-				} else if (this.settings.existingFileAction === 'timestamp') {
-					const timestamp = formatDate(doc.created_at, 'HH-mm');
-					const baseFilename = this.generateFilename(doc);
-					const uniqueFilename = baseFilename + '_' + timestamp + '.md';
-					finalFilepath = path.join(targetDirectory, uniqueFilename);
-
-					const existingUniqueFile = this.app.vault.getAbstractFileByPath(finalFilepath);
-					if (existingUniqueFile) {
-						return false;
-					}
+			return await this.updateExistingNote(existingFile, doc, transcript, options);
+		}
+
+		// Create new note
+		const { folder: targetDirectory, filename: baseFilename } = this.resolveNoteLocation(doc);
+		const filename = baseFilename + '.md';
+		const filepath = path.join(targetDirectory, filename);
+
+		let finalFilepath = filepath;
+		const existingFileByName = this.app.vault.getAbstractFileByPath(filepath);
+		if (existingFileByName && existingFileByName instanceof TFile) {
+			try {
+				if (this.getGranolaId(existingFileByName) === docId) {
+					return await this.updateExistingNote(existingFileByName, doc, transcript, options);
 				}
+			} catch (error) {
+				console.error('Error checking existing file:', error);
 			}
 
-			await this.app.vault.create(finalFilepath, finalMarkdown);
-			return true;
+			if (this.settings.existingFileAction === 'skip') {
+				return this.createSyncResult(doc, 'skip', 'A different note already exists at ' + filepath);
+			} else if (this.settings.existingFileAction === 'timestamp') {
+				const timestamp = formatDate(doc.created_at, 'HH-mm');
+				const uniqueFilename = baseFilename + '_' + timestamp + '.md';
+				finalFilepath = path.join(targetDirectory, uniqueFilename);
 
-		} catch (error) {
-			console.error('Error processing document:', error);
-			return false;
+				const existingUniqueFile = this.app.vault.getAbstractFileByPath(finalFilepath);
+				if (existingUniqueFile) {
+					return this.createSyncResult(doc, 'skip', 'Different notes already exist at ' + filepath + ' and ' + finalFilepath);
+				}
+			}
+		}
+
+		if (options.dryRun) {
+			const reason = finalFilepath !== filepath ? 'New note (' + filepath + ' is taken)' : 'New note';
+			return this.createSyncResult(doc, 'create', reason, finalFilepath);
+		}
+
+		if (targetDirectory && targetDirectory !== this.settings.syncDirectory) {
+			await this.ensureDirectoryExists(targetDirectory);
 		}
+		const attachmentFilenames = await this.downloadAttachments(doc, targetDirectory);
+		const template = await this.resolveNoteTemplate(doc, normalizePath(targetDirectory));
+		const frontmatter = this.buildFrontmatter(doc, attachmentFilenames);
+		const noteContent = this.buildNoteContent(doc, transcript, attachmentFilenames, template);
+		const finalMarkdown = frontmatter + noteContent;
+
+		const createdFile = await this.app.vault.create(finalFilepath, finalMarkdown);
+		this.recordSyncedNote(doc, createdFile.path);
+		await this.updateMeetingTasksNote(doc, createdFile.path);
+		await this.updatePeopleNotes(doc, createdFile.path);
+		return this.createSyncResult(doc, 'create', 'New note', createdFile.path);
+	}
+
+	/**
+	 * Re-sync an existing note without clobbering user edits
+	 * Only managed blocks are replaced and frontmatter is merged key by key.
+	 * With "skip existing notes" on, only noteEnded is taken from Granola
+	 * unless the re-sync is forced.
+	 */
+	private async updateExistingNote(
+		file: TFile,
+		doc: GranolaDocument,
+		transcript: string,
+		options: ProcessOptions = {}
+	): Promise<SyncResult> {
+		const noteFolder = file.parent && !file.parent.isRoot() ? file.parent.path : '';
+		const attachmentFilenames = options.dryRun
+			? this.getPlannedAttachmentFilenames(doc)
+			: await this.downloadAttachments(doc, noteFolder);
+		const template = await this.resolveNoteTemplate(doc, noteFolder);
+		const frontmatter = this.buildFrontmatter(doc, attachmentFilenames);
+		const noteContent = this.buildNoteContent(doc, transcript, attachmentFilenames, template);
+		const frontmatterKeys = this.settings.skipExistingNotes && !options.force ? ['noteEnded'] : undefined;
+
+		let conflicts: string[] = [];
+		let changed = false;
+		const merge = (existingContent: string): string => {
+			const result = mergeNote(existingContent, frontmatter, noteContent, frontmatterKeys);
+			conflicts = result.conflicts;
+			changed = result.content !== existingContent;
+			return result.content;
+		};
+
+		if (options.dryRun) {
+			merge(await this.app.vault.read(file));
+		} else {
+			await this.app.vault.process(file, merge);
+		}
+
+		if (conflicts.length > 0 && !options.dryRun) {
+			console.warn('Granola sync conflict in ' + file.path + ': ' + conflicts.join(', ') + ' edited locally, left unchanged');
+		}
+
+		if (!options.dryRun) {
+			this.recordSyncedNote(doc, file.path);
+			await this.updateMeetingTasksNote(doc, file.path);
+			await this.updatePeopleNotes(doc, file.path);
+		}
+
+		if (conflicts.length > 0) {
+			return this.createSyncResult(doc, 'conflict', 'Edited locally, left unchanged: ' + conflicts.join(', '), file.path);
+		}
+		if (!changed) {
+			return this.createSyncResult(doc, 'skip', 'Note already matches Granola', file.path);
+		}
+		return this.createSyncResult(doc, 'update', 'Changed in Granola', file.path);
+	}
+
+	private createSyncResult(doc: GranolaDocument, action: SyncAction, reason: string, filePath: string | null = null): SyncResult {
+		return {
+			docId: doc.id,
+			title: doc.title || 'Untitled Granola Note',
+			action,
+			reason,
+			path: filePath,
+		};
 	}
 
-	private async ensureDirectoryExists(): Promise<void> {
+	private async ensureDirectoryExists(directory: string = this.settings.syncDirectory): Promise<void> {
 		try {
-			const folder = this.app.vault.getFolderByPath(this.settings.syncDirectory);
+			const folder = this.app.vault.getFolderByPath(directory);
 			if (!folder) {
-				await this.app.vault.createFolder(this.settings.syncDirectory);
+				await this.app.vault.createFolder(directory);
 			}
 		} catch (error) {
 			console.error('Error creating directory:', error);
@@ -0,0 +1,139 @@
+import { App, FuzzySuggestModal, Modal, Setting } from 'obsidian';
+import type { GranolaDocument, SyncResult } from './types';
+import { SYNC_ACTION_LABELS, SYNC_ACTION_ORDER, summarizeSyncResults } from './sync-report';
+import { formatDate } from './utils';
+
+/**
+ * Dry-run results: what a sync would do to each document, and why
+ */
+export class SyncPreviewModal extends Modal {
+	private results: SyncResult[];
+	private onConfirm: () => void;
+
+	constructor(app: App, results: SyncResult[], onConfirm: () => void) {
+		super(app);
+		this.results = results;
+		this.onConfirm = onConfirm;
+	}
+
+	onOpen(): void {
+		const { contentEl } = this;
+		contentEl.empty();
+
+		contentEl.createEl('h2', { text: 'Granola sync preview' });
+		contentEl.createEl('p', {
+			text: this.results.length > 0 ? summarizeSyncResults(this.results) : 'Nothing to sync.',
+		});
+
+		for (const action of SYNC_ACTION_ORDER) {
+			const results = this.results.filter(result => result.action === action);
+			if (results.length === 0) continue;
+
+			contentEl.createEl('h3', { text: SYNC_ACTION_LABELS[action] + ' (' + results.length + ')' });
+			const list = contentEl.createEl('ul');
+			for (const result of results) {
+				const item = list.createEl('li');
+				item.createEl('strong', { text: result.title });
+				item.appendText(' — ' + result.reason);
+				if (result.path) {
+					item.createEl('div', { text: result.path, cls: 'setting-item-description' });
+				}
+			}
+		}
+
+		new Setting(contentEl)
+			.addButton(button => {
+				button.setButtonText('Cancel');
+				button.onClick(() => this.close());
+			})
+			.addButton(button => {
+				button.setButtonText('Sync now');
+				button.setCta();
+				button.onClick(() => {
+					this.close();
+					this.onConfirm();
+				});
+			});
+	}
+
+	onClose(): void {
+		this.contentEl.empty();
+	}
+}
+
+/**
+ * Fuzzy picker over fetched Granola documents
+ */
+export class MeetingPickerModal extends FuzzySuggestModal<GranolaDocument> {
+	private documents: GranolaDocument[];
+	private onChoose: (doc: GranolaDocument) => void;
+
+	constructor(app: App, documents: GranolaDocument[], onChoose: (doc: GranolaDocument) => void) {
+		super(app);
+		this.documents = documents;
+		this.onChoose = onChoose;
+		this.setPlaceholder('Pick a meeting to sync');
+	}
+
+	getItems(): GranolaDocument[] {
+		return this.documents;
+	}
+
+	getItemText(doc: GranolaDocument): string {
+		const date = doc.google_calendar_event?.start?.dateTime || doc.created_at;
+		return (doc.title || 'Untitled Granola Note') + ' (' + formatDate(date, 'YYYY-MM-DD') + ')';
+	}
+
+	onChooseItem(doc: GranolaDocument): void {
+		this.onChoose(doc);
+	}
+}
+
+/**
+ * Ask how many days back "Force re-sync last N days" should go
+ */
+export class ResyncDaysModal extends Modal {
+	private days: number;
+	private onSubmit: (days: number) => void;
+
+	constructor(app: App, days: number, onSubmit: (days: number) => void) {
+		super(app);
+		this.days = days;
+		this.onSubmit = onSubmit;
+	}
+
+	onOpen(): void {
+		const { contentEl } = this;
+		contentEl.empty();
+
+		contentEl.createEl('h2', { text: 'Force re-sync recent meetings' });
+
+		new Setting(contentEl)
+			.setName('Days')
+			.setDesc('Re-sync every meeting from the last N days, including today, even if unchanged')
+			.addText(text => {
+				text.inputEl.type = 'number';
+				text.setValue(String(this.days));
+				text.onChange((value) => {
+					const days = parseInt(value);
+					if (!isNaN(days) && days > 0) {
+						this.days = days;
+					}
+				});
+			});
+
+		new Setting(contentEl)
+			.addButton(button => {
+				button.setButtonText('Re-sync');
+				button.setCta();
+				button.onClick(() => {
+					this.close();
+					this.onSubmit(this.days);
+				});
+			});
+	}
+
+	onClose(): void {
+		this.contentEl.empty();
+	}
+}
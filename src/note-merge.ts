@@ -0,0 +1,333 @@
+import { parseYaml, stringifyYaml } from 'obsidian';
+import { CONFLICT_FRONTMATTER_KEY } from './constants';
+import { hashContent } from './utils';
+
+export type ManagedBlockId = 'my_notes' | 'enhanced_notes' | 'action_items' | 'transcript' | 'attachments' | `tasks-${string}`;
+
+interface ManagedBlock {
+	id: string;
+	storedHash: string;
+	content: string;
+	raw: string;
+}
+
+type BodySegment = { text: string } | { block: ManagedBlock };
+
+export interface NoteMergeResult {
+	content: string;
+	conflicts: string[];
+}
+
+const MANAGED_BLOCK_PATTERN = /<!-- granola:([\w-]+) hash=([0-9a-f]+) -->\n([\s\S]*?)\n[ \t>]*<!-- \/granola:\1 -->/;
+const FRONTMATTER_PATTERN = /^---\n(?:([\s\S]*?)\n)?---(?:\n|$)/;
+const TASK_LINE_PATTERN = /^([ \t>]*[-*+] \[)([^\]])(\] )(.*)$/;
+const WIKILINK_TARGET_PATTERN = /\[\[[^\]|#^]*/g;
+const MARKDOWN_LINK_TARGET_PATTERN = /\]\([^)]*\)/g;
+
+/**
+ * Reset every task checkbox to unchecked
+ * Hashes are taken over this form, so ticking off tasks is not a local edit
+ */
+function normalizeTaskStates(text: string): string {
+	return text
+		.split('\n')
+		.map(line => line.replace(TASK_LINE_PATTERN, '$1 $3$4'))
+		.join('\n');
+}
+
+/**
+ * Drop link targets, keeping aliases and headings
+ * Obsidian rewrites links when a note is moved or renamed, which is not a local edit
+ */
+function stripLinkTargets(text: string): string {
+	return text
+		.replace(WIKILINK_TARGET_PATTERN, '[[')
+		.replace(MARKDOWN_LINK_TARGET_PATTERN, ']()');
+}
+
+function hashBlockContent(content: string): string {
+	return hashContent(stripLinkTargets(normalizeTaskStates(content)));
+}
+
+/**
+ * Copy checkbox states from the previous version of a block onto matching
+ * task lines (by text) of the fresh version
+ */
+function carryOverTaskStates(previous: string, fresh: string): string {
+	const states = new Map<string, string>();
+	for (const line of previous.split('\n')) {
+		const match = line.match(TASK_LINE_PATTERN);
+		if (match && match[2] !== ' ') {
+			states.set(match[4].trim(), match[2]);
+		}
+	}
+
+	if (states.size === 0) return fresh;
+
+	return fresh
+		.split('\n')
+		.map(line => {
+			const match = line.match(TASK_LINE_PATTERN);
+			const state = match ? states.get(match[4].trim()) : undefined;
+			return match && state ? match[1] + state + match[3] + match[4] : line;
+		})
+		.join('\n');
+}
+
+function withTaskStatesFrom(previous: ManagedBlock, fresh: ManagedBlock): ManagedBlock {
+	const content = carryOverTaskStates(previous.content, fresh.content);
+	if (content === fresh.content) return fresh;
+	return { ...fresh, content, raw: fresh.raw.replace(fresh.content, () => content) };
+}
+
+/**
+ * Wrap plugin-owned content in marker comments
+ * The hash records what was written so local edits can be detected on re-sync
+ * @param linePrefix Indent or quote prefix repeated on every line after the first (e.g. "> " inside a callout)
+ */
+export function wrapManagedBlock(id: ManagedBlockId, content: string, linePrefix = ''): string {
+	const body = content.trim()
+		.split('\n')
+		.map(line => line ? linePrefix + line : linePrefix.trimEnd())
+		.join('\n');
+	return `<!-- granola:${id} hash=${hashBlockContent(body)} -->\n${body}\n${linePrefix}<!-- /granola:${id} -->`;
+}
+
+/**
+ * Split note content into raw YAML frontmatter and body
+ */
+export function splitFrontmatter(content: string): { frontmatter: string | null; body: string } {
+	const match = content.match(FRONTMATTER_PATTERN);
+	if (!match) {
+		return { frontmatter: null, body: content };
+	}
+	return { frontmatter: match[1] ?? '', body: content.slice(match[0].length) };
+}
+
+function parseBody(body: string): BodySegment[] {
+	const segments: BodySegment[] = [];
+	const pattern = new RegExp(MANAGED_BLOCK_PATTERN.source, 'g');
+	let lastIndex = 0;
+	let match: RegExpExecArray | null;
+
+	while ((match = pattern.exec(body)) !== null) {
+		const index = match.index;
+		if (index > lastIndex) {
+			segments.push({ text: body.slice(lastIndex, index) });
+		}
+		segments.push({ block: { id: match[1], storedHash: match[2], content: match[3], raw: match[0] } });
+		lastIndex = index + match[0].length;
+	}
+
+	if (lastIndex < body.length) {
+		segments.push({ text: body.slice(lastIndex) });
+	}
+
+	return segments;
+}
+
+function isEditedLocally(block: ManagedBlock): boolean {
+	return hashBlockContent(block.content) !== block.storedHash;
+}
+
+/**
+ * Whether a locally edited block also changed in Granola since it was written
+ * Only then do the two versions actually disagree.
+ */
+function isConflict(existing: ManagedBlock, fresh: ManagedBlock): boolean {
+	return hashBlockContent(fresh.content) !== existing.storedHash
+		&& normalizeTaskStates(fresh.content) !== normalizeTaskStates(existing.content);
+}
+
+function findBlockIndex(segments: BodySegment[], id: string): number {
+	return segments.findIndex(segment => 'block' in segment && segment.block.id === id);
+}
+
+/**
+ * Replace managed blocks in an existing body with freshly generated ones
+ * Text outside the markers is never touched. Blocks edited locally are kept,
+ * and reported as conflicts once Granola changes them too. Notes without any
+ * markers (synced by older versions) are replaced entirely.
+ */
+export function mergeManagedBlocks(existingBody: string, generatedBody: string): NoteMergeResult {
+	const segments = parseBody(existingBody);
+	const freshBlocks = parseBody(generatedBody)
+		.filter((segment): segment is { block: ManagedBlock } => 'block' in segment)
+		.map(segment => segment.block);
+
+	if (!segments.some(segment => 'block' in segment)) {
+		return { content: generatedBody, conflicts: [] };
+	}
+
+	const conflicts: string[] = [];
+	const freshById = new Map<string, ManagedBlock>(freshBlocks.map(block => [block.id, block] as [string, ManagedBlock]));
+
+	// Update or drop blocks already in the note
+	for (let i = segments.length - 1; i >= 0; i--) {
+		const segment = segments[i];
+		if (!('block' in segment)) continue;
+
+		const existing = segment.block;
+		const fresh = freshById.get(existing.id);
+		if (isEditedLocally(existing)) {
+			if (fresh && isConflict(existing, fresh)) {
+				conflicts.push(existing.id);
+			}
+			continue;
+		}
+
+		if (fresh) {
+			segments[i] = { block: withTaskStatesFrom(existing, fresh) };
+		} else {
+			segments.splice(i, 1);
+			// Drop the blank line that separated the removed block
+			const next = segments[i];
+			const previous = segments[i - 1];
+			if (next && 'text' in next) {
+				next.text = next.text.replace(/^\n{1,2}/, '');
+			} else if (previous && 'text' in previous) {
+				previous.text = previous.text.replace(/\n+$/, '\n');
+			}
+		}
+	}
+
+	// Insert new blocks after the closest preceding block, in generated order
+	for (let f = 0; f < freshBlocks.length; f++) {
+		const fresh = freshBlocks[f];
+		if (findBlockIndex(segments, fresh.id) !== -1) continue;
+
+		let anchor = -1;
+		for (let p = f - 1; p >= 0 && anchor === -1; p--) {
+			anchor = findBlockIndex(segments, freshBlocks[p].id);
+		}
+
+		if (anchor !== -1) {
+			segments.splice(anchor + 1, 0, { text: '\n\n' }, { block: fresh });
+		} else {
+			const firstBlock = segments.findIndex(segment => 'block' in segment);
+			segments.splice(firstBlock, 0, { block: fresh }, { text: '\n\n' });
+		}
+	}
+
+	const content = segments
+		.map(segment => 'block' in segment ? segment.block.raw : segment.text)
+		.join('');
+
+	return { content, conflicts: conflicts.reverse() };
+}
+
+/**
+ * Insert or update a single managed block, leaving all other content alone
+ * Used for shared notes that collect blocks from many meetings.
+ * Returns null when the existing block was edited locally and changed in Granola.
+ */
+export function upsertManagedBlock(body: string, blockMarkdown: string): string | null {
+	const fresh = parseBody(blockMarkdown).find((segment): segment is { block: ManagedBlock } => 'block' in segment);
+	if (!fresh) return body;
+
+	const segments = parseBody(body);
+	const index = findBlockIndex(segments, fresh.block.id);
+	if (index === -1) {
+		const separator = !body ? '' : body.endsWith('\n\n') ? '' : body.endsWith('\n') ? '\n' : '\n\n';
+		return body + separator + fresh.block.raw + '\n';
+	}
+
+	const existing = (segments[index] as { block: ManagedBlock }).block;
+	if (isEditedLocally(existing)) {
+		return isConflict(existing, fresh.block) ? null : body;
+	}
+
+	segments[index] = { block: withTaskStatesFrom(existing, fresh.block) };
+	return segments
+		.map(segment => 'block' in segment ? segment.block.raw : segment.text)
+		.join('');
+}
+
+/** Lists users are expected to extend; every other generated list is owned by the plugin */
+const UNIONED_LIST_KEYS = ['tags', 'topics'];
+
+function toList(value: unknown): unknown[] {
+	if (Array.isArray(value)) return value;
+	if (value === null || value === undefined || value === '') return [];
+	return [value];
+}
+
+/**
+ * Merge generated frontmatter into existing frontmatter key by key
+ * Tags and topics are unioned so user additions survive. Other lists such as
+ * people and org are replaced, so attendees removed in Granola disappear.
+ * Scalars are overwritten and empty placeholders never clear a user value.
+ * Keys the plugin doesn't generate are left alone.
+ */
+export function mergeFrontmatter(
+	existing: Record<string, unknown>,
+	generated: Record<string, unknown>,
+	keys: string[] = Object.keys(generated)
+): Record<string, unknown> {
+	const merged: Record<string, unknown> = { ...existing };
+
+	for (const key of keys) {
+		if (!(key in generated)) continue;
+
+		const fresh = generated[key];
+		const current = merged[key];
+
+		if (UNIONED_LIST_KEYS.includes(key) && (Array.isArray(fresh) || Array.isArray(current))) {
+			const list = toList(current).slice();
+			for (const item of toList(fresh)) {
+				if (!list.some(existingItem => String(existingItem) === String(item))) {
+					list.push(item);
+				}
+			}
+			merged[key] = list.length > 0 ? list : null;
+		} else if (Array.isArray(fresh) || Array.isArray(current)) {
+			const list = toList(fresh);
+			merged[key] = list.length > 0 ? list : null;
+		} else if (fresh === null || fresh === undefined || fresh === '') {
+			if (!(key in merged)) {
+				merged[key] = null;
+			}
+		} else {
+			merged[key] = fresh;
+		}
+	}
+
+	return merged;
+}
+
+/**
+ * Merge a freshly generated note into existing note content
+ * @param frontmatterKeys Limit which generated frontmatter keys are merged
+ */
+export function mergeNote(
+	existingContent: string,
+	generatedFrontmatter: string,
+	generatedBody: string,
+	frontmatterKeys?: string[]
+): NoteMergeResult {
+	const existing = splitFrontmatter(existingContent);
+	const generated = splitFrontmatter(generatedFrontmatter);
+	const { content: body, conflicts } = mergeManagedBlocks(existing.body, generatedBody);
+
+	let frontmatter: Record<string, unknown>;
+	try {
+		const existingData = existing.frontmatter !== null ? parseYaml(existing.frontmatter) : null;
+		const generatedData = (parseYaml(generated.frontmatter ?? '') ?? {}) as Record<string, unknown>;
+		frontmatter = existingData && typeof existingData === 'object'
+			? mergeFrontmatter(existingData as Record<string, unknown>, generatedData, frontmatterKeys)
+			: generatedData;
+	} catch (error) {
+		// Unparseable frontmatter: leave it exactly as the user wrote it
+		console.error('Error merging frontmatter:', error);
+		const frontmatterBlock = existing.frontmatter !== null ? '---\n' + existing.frontmatter + '\n---\n' : generatedFrontmatter;
+		return { content: frontmatterBlock + body, conflicts };
+	}
+
+	if (conflicts.length > 0) {
+		frontmatter[CONFLICT_FRONTMATTER_KEY] = conflicts;
+	} else {
+		delete frontmatter[CONFLICT_FRONTMATTER_KEY];
+	}
+
+	return { content: '---\n' + stringifyYaml(frontmatter) + '---\n' + body, conflicts };
+}
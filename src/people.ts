@@ -0,0 +1,193 @@
+import type { App, TFile } from 'obsidian';
+import type { PersonMapping } from './types';
+
+export interface PeopleDirectoryOptions {
+	peopleFolder: string;
+	orgFolder: string;
+	mappings: PersonMapping[];
+	/** Meeting notes carry attendee emails too, they must never become person notes */
+	isMeetingNote: (file: TFile) => boolean;
+}
+
+const MEETINGS_HEADING_PATTERN = /^##\s+Meetings\s*$/i;
+
+function toList(value: unknown): string[] {
+	if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(item => item);
+	if (typeof value === 'string' && value.trim()) return [value.trim()];
+	return [];
+}
+
+function isInFolder(file: TFile, folder: string): boolean {
+	const normalized = folder.replace(/^\/+|\/+$/g, '');
+	return !!normalized && (file.parent?.path === normalized || file.path.startsWith(normalized + '/'));
+}
+
+/**
+ * Strip [[ ]] and a display alias from a user-entered note reference
+ */
+function toLinkTarget(note: string): string {
+	return note.trim().replace(/^\[\[/, '').replace(/\]\]$/, '').split('|')[0].replace(/\.md$/, '').trim();
+}
+
+/**
+ * Person and organization notes in the vault
+ * People are matched by email (`emails`/`email` frontmatter or the mapping
+ * table) and by note name or `aliases`; organizations by `domains`/`domain`
+ * frontmatter and by note name or `aliases`. Lookups return link targets.
+ */
+export class PeopleDirectory {
+	private app: App;
+	private options: PeopleDirectoryOptions;
+	private personByEmail = new Map<string, string>();
+	private personByName = new Map<string, string>();
+	private orgByDomain = new Map<string, string>();
+	private orgByName = new Map<string, string>();
+
+	constructor(app: App, options: PeopleDirectoryOptions) {
+		this.app = app;
+		this.options = options;
+		this.build();
+	}
+
+	private build(): void {
+		// Mappings are added first so they win over frontmatter
+		for (const mapping of this.options.mappings) {
+			if (mapping.email && mapping.note) {
+				this.personByEmail.set(mapping.email.trim().toLowerCase(), toLinkTarget(mapping.note));
+			}
+		}
+
+		for (const file of this.app.vault.getMarkdownFiles()) {
+			try {
+				const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter;
+				if (frontmatter?.granola_id || this.options.isMeetingNote(file)) continue;
+
+				const aliases = toList(frontmatter?.aliases);
+				const emails = toList(frontmatter?.emails).concat(toList(frontmatter?.email));
+				if (emails.length > 0 || isInFolder(file, this.options.peopleFolder)) {
+					this.addPerson(file, emails, aliases);
+				}
+
+				const domains = toList(frontmatter?.domains).concat(toList(frontmatter?.domain));
+				if (domains.length > 0 || isInFolder(file, this.options.orgFolder)) {
+					this.addOrg(file, domains, aliases);
+				}
+			} catch (error) {
+				console.error('Error reading person note:', file.path, error);
+			}
+		}
+	}
+
+	private getLinkTarget(file: TFile): string {
+		return this.app.metadataCache.fileToLinktext(file, '', true);
+	}
+
+	addPerson(file: TFile, emails: string[], aliases: string[] = []): void {
+		const target = this.getLinkTarget(file);
+		for (const email of emails) {
+			const key = email.toLowerCase();
+			if (!this.personByEmail.has(key)) this.personByEmail.set(key, target);
+		}
+		for (const name of [file.basename].concat(aliases)) {
+			const key = name.toLowerCase();
+			if (!this.personByName.has(key)) this.personByName.set(key, target);
+		}
+	}
+
+	addOrg(file: TFile, domains: string[], aliases: string[] = []): void {
+		const target = this.getLinkTarget(file);
+		for (const domain of domains) {
+			const key = domain.toLowerCase().replace(/^@/, '');
+			if (!this.orgByDomain.has(key)) this.orgByDomain.set(key, target);
+		}
+		for (const name of [file.basename].concat(aliases)) {
+			const key = name.toLowerCase();
+			if (!this.orgByName.has(key)) this.orgByName.set(key, target);
+		}
+	}
+
+	/**
+	 * Find the note for an attendee, by email first and then by name
+	 */
+	findPerson(names: string[], email: string | null): string | null {
+		if (email) {
+			const byEmail = this.personByEmail.get(email.toLowerCase());
+			if (byEmail) return byEmail;
+		}
+		for (const name of names) {
+			const byName = this.personByName.get(name.toLowerCase());
+			if (byName) return byName;
+		}
+		return null;
+	}
+
+	/**
+	 * Find the note for an organization, by email domain first and then by name
+	 */
+	findOrg(name: string, domain: string | null): string | null {
+		if (domain) {
+			const byDomain = this.orgByDomain.get(domain.toLowerCase());
+			if (byDomain) return byDomain;
+		}
+		return this.orgByName.get(name.toLowerCase()) ?? null;
+	}
+}
+
+/**
+ * Link paths of every wikilink and Markdown link, without headings or aliases
+ */
+function getLinkpaths(content: string): string[] {
+	const linkpaths: string[] = [];
+	const wikilink = /\[\[([^\]|#^]+)/g;
+	const markdownLink = /\]\(<?([^)#>]+)/g;
+	let match: RegExpExecArray | null;
+
+	while ((match = wikilink.exec(content)) !== null) {
+		linkpaths.push(match[1].trim());
+	}
+	while ((match = markdownLink.exec(content)) !== null) {
+		try {
+			linkpaths.push(decodeURI(match[1].trim()));
+		} catch (error) {
+			linkpaths.push(match[1].trim());
+		}
+	}
+
+	return linkpaths;
+}
+
+/**
+ * Add an entry to the "## Meetings" section of a person or organization note
+ * Returns null when the note has no such section or already links the meeting.
+ * Links are resolved with isMeetingLink rather than compared as text, since
+ * Obsidian rewrites them when the meeting note is moved.
+ */
+export function addMeetingToList(content: string, entry: string, isMeetingLink: (linkpath: string) => boolean): string | null {
+	if (getLinkpaths(content).some(isMeetingLink)) {
+		return null;
+	}
+
+	const lines = content.split('\n');
+	const headingIndex = lines.findIndex(line => MEETINGS_HEADING_PATTERN.test(line.trim()));
+	if (headingIndex === -1) {
+		return null;
+	}
+
+	let sectionEnd = headingIndex + 1;
+	while (sectionEnd < lines.length && !/^#{1,2}\s/.test(lines[sectionEnd])) {
+		sectionEnd++;
+	}
+
+	let insertAt = sectionEnd;
+	while (insertAt > headingIndex + 1 && !lines[insertAt - 1].trim()) {
+		insertAt--;
+	}
+
+	const inserted = insertAt === headingIndex + 1 ? ['', entry] : [entry];
+	if (insertAt < lines.length && lines[insertAt].trim()) {
+		inserted.push('');
+	}
+	lines.splice(insertAt, 0, ...inserted);
+
+	return lines.join('\n');
+}
@@ -0,0 +1,353 @@
+import type { ProseMirrorMark, ProseMirrorNode } from './types';
+
+type InlineContext = 'block' | 'heading' | 'table';
+
+/**
+ * Order in which marks are nested, outermost first
+ * Code is innermost because nothing can be nested inside a code span
+ */
+const MARK_ORDER = ['link', 'bold', 'italic', 'strike', 'highlight', 'underline', 'code'];
+
+const MARK_ALIASES: Record<string, string> = {
+	'strong': 'bold',
+	'em': 'italic',
+	'strikethrough': 'strike',
+};
+
+const LIST_TYPES = ['bulletList', 'orderedList', 'taskList'];
+
+function normalizeMarkType(type: string): string {
+	return MARK_ALIASES[type] || type;
+}
+
+function sortMarks(marks: ProseMirrorMark[] = []): ProseMirrorMark[] {
+	return marks
+		.map(mark => ({ ...mark, type: normalizeMarkType(mark.type) }))
+		.filter(mark => MARK_ORDER.includes(mark.type))
+		.sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type));
+}
+
+function isSameMark(a: ProseMirrorMark, b: ProseMirrorMark): boolean {
+	return a.type === b.type && (a.attrs?.href ?? null) === (b.attrs?.href ?? null);
+}
+
+/**
+ * Escape characters that would end or unbalance a Markdown link destination
+ */
+function encodeLinkDestination(url: string): string {
+	return url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+function openMark(mark: ProseMirrorMark): string {
+	switch (mark.type) {
+		case 'link': return '[';
+		case 'bold': return '**';
+		case 'italic': return '*';
+		case 'strike': return '~~';
+		case 'highlight': return '==';
+		case 'underline': return '<u>';
+		default: return '';
+	}
+}
+
+function closeMark(mark: ProseMirrorMark): string {
+	switch (mark.type) {
+		case 'link': return '](' + encodeLinkDestination(mark.attrs?.href || '') + ')';
+		case 'bold': return '**';
+		case 'italic': return '*';
+		case 'strike': return '~~';
+		case 'highlight': return '==';
+		case 'underline': return '</u>';
+		default: return '';
+	}
+}
+
+function wrapCodeSpan(text: string): string {
+	const longestRun = (text.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+	const fence = '`'.repeat(longestRun + 1);
+	const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+	return fence + padding + text + padding + fence;
+}
+
+function indentLines(text: string, indent: string): string {
+	return text
+		.split('\n')
+		.map(line => line ? indent + line : line)
+		.join('\n');
+}
+
+/**
+ * Render inline nodes (text, marks, hard breaks, mentions)
+ * Marks stay open across adjacent text nodes, and whitespace is moved
+ * outside of emphasis so "**bold **" never gets produced.
+ */
+function renderInline(nodes: ProseMirrorNode[], context: InlineContext): string {
+	let output = '';
+	let active: ProseMirrorMark[] = [];
+	let pendingWhitespace = '';
+
+	const closeFrom = (index: number): void => {
+		for (let i = active.length - 1; i >= index; i--) {
+			if (active[i].type !== 'code') {
+				output += closeMark(active[i]);
+			}
+		}
+		active = active.slice(0, index);
+	};
+
+	const lineBreak = context === 'table' ? '<br>' : context === 'heading' ? ' ' : '\n';
+
+	for (const node of nodes) {
+		if (node.type === 'hardBreak') {
+			closeFrom(0);
+			output += lineBreak;
+			pendingWhitespace = '';
+			continue;
+		}
+
+		let text: string;
+		if (node.type === 'text') {
+			text = node.text || '';
+			if (context === 'table') {
+				text = text.replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+			}
+		} else if (node.type === 'mention') {
+			text = '@' + (node.attrs?.label || node.attrs?.id || 'unknown');
+		} else if (node.type === 'image') {
+			text = renderImage(node);
+		} else if (node.content) {
+			text = renderInline(node.content, context);
+		} else {
+			text = renderUnsupported(node);
+		}
+
+		const marks = node.type === 'text' ? sortMarks(node.marks) : [];
+		const isCode = marks.some(mark => mark.type === 'code');
+
+		// Whitespace-only text can't carry emphasis, keep it with the surrounding marks
+		if (!text.trim() && !isCode) {
+			pendingWhitespace += text;
+			continue;
+		}
+
+		const leading = isCode ? '' : text.match(/^\s*/)?.[0] ?? '';
+		const trailing = isCode ? '' : text.match(/\s*$/)?.[0] ?? '';
+		const core = isCode ? text : text.slice(leading.length, text.length - trailing.length);
+
+		let common = 0;
+		while (common < active.length && common < marks.length && isSameMark(active[common], marks[common]) &&
+			active[common].type !== 'code') {
+			common++;
+		}
+
+		closeFrom(common);
+		output += pendingWhitespace + leading;
+		pendingWhitespace = '';
+
+		for (const mark of marks.slice(common)) {
+			if (mark.type !== 'code') {
+				output += openMark(mark);
+			}
+			active.push(mark);
+		}
+
+		output += isCode ? wrapCodeSpan(core) : core;
+		pendingWhitespace = trailing;
+	}
+
+	closeFrom(0);
+	return output + pendingWhitespace;
+}
+
+function renderImage(node: ProseMirrorNode): string {
+	const src = node.attrs?.src;
+	if (!src) return '';
+	return '![' + (node.attrs?.alt || '') + '](' + encodeLinkDestination(src) + ')';
+}
+
+function renderUnsupported(node: ProseMirrorNode): string {
+	return '`[unsupported Granola content: ' + (node.type || 'unknown') + ']`';
+}
+
+function renderCodeBlock(node: ProseMirrorNode): string {
+	const code = (node.content || []).map(child => child.text || '').join('');
+	const longestRun = (code.match(/`{3,}/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+	const fence = '`'.repeat(Math.max(3, longestRun + 1));
+	return fence + (node.attrs?.language || '') + '\n' + code.replace(/\n$/, '') + '\n' + fence;
+}
+
+function renderBlockquote(node: ProseMirrorNode): string {
+	const inner = renderBlocks(node.content || []);
+	if (!inner) return '';
+	return inner
+		.split('\n')
+		.map(line => line ? '> ' + line : '>')
+		.join('\n');
+}
+
+function renderTable(node: ProseMirrorNode): string {
+	const rows = (node.content || [])
+		.filter(row => row.type === 'tableRow')
+		.map(row => (row.content || []).map(cell => {
+			const paragraphs = (cell.content || []).map(child => {
+				if (child.type === 'paragraph' || child.type === 'heading') {
+					return renderInline(child.content || [], 'table').trim();
+				}
+				return renderBlock(child).replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+			});
+			return paragraphs.filter(p => p).join('<br>');
+		}));
+
+	if (rows.length === 0) return '';
+
+	const columnCount = Math.max(...rows.map(row => row.length));
+	const formatRow = (cells: string[]): string => {
+		const padded = cells.concat(Array(columnCount - cells.length).fill(''));
+		return '| ' + padded.join(' | ') + ' |';
+	};
+
+	// Markdown tables need a header row, so the first row is always used as one
+	const lines = [
+		formatRow(rows[0]),
+		'| ' + Array(columnCount).fill('---').join(' | ') + ' |',
+		...rows.slice(1).map(formatRow),
+	];
+	return lines.join('\n');
+}
+
+function renderListItem(item: ProseMirrorNode, marker: string, tight: boolean): string {
+	const parts: Array<{ type: string; text: string }> = [];
+
+	for (const child of item.content || []) {
+		const rendered = child.type === 'paragraph'
+			? renderInline(child.content || [], 'block').trim()
+			: renderBlock(child);
+		if (rendered) {
+			parts.push({ type: child.type, text: rendered });
+		}
+	}
+
+	if (parts.length === 0) {
+		return '';
+	}
+
+	// Continuation lines and nested blocks are indented to the item's content column
+	// (the checkbox of a task item is part of its content, not its marker)
+	const indent = ' '.repeat(marker.startsWith('- [') ? 2 : marker.length);
+	const separator = tight ? '\n' : '\n\n';
+
+	// An item that starts with a nested list keeps its marker on a line of its own
+	const leadsWithList = LIST_TYPES.includes(parts[0].type);
+	const firstLines = leadsWithList ? [''] : parts[0].text.split('\n');
+	const rest = leadsWithList ? parts : parts.slice(1);
+
+	let result = marker + firstLines[0];
+	if (firstLines.length > 1) {
+		result += '\n' + indentLines(firstLines.slice(1).join('\n'), indent);
+	}
+
+	for (const part of rest) {
+		const partSeparator = LIST_TYPES.includes(part.type) ? '\n' : separator;
+		result += partSeparator + indentLines(part.text, indent);
+	}
+
+	return result.replace(/\s+$/, '');
+}
+
+function renderList(node: ProseMirrorNode): string {
+	const tight = node.attrs?.tight !== false;
+	const start = node.attrs?.start ?? 1;
+	const items: string[] = [];
+	let number = start;
+
+	for (const item of node.content || []) {
+		let marker: string;
+		if (node.type === 'orderedList') {
+			marker = number + '. ';
+		} else if (node.type === 'taskList' || item.type === 'taskItem') {
+			marker = '- [' + (item.attrs?.checked ? 'x' : ' ') + '] ';
+		} else {
+			marker = '- ';
+		}
+
+		const rendered = renderListItem(item, marker, tight);
+		if (rendered) {
+			items.push(rendered);
+			number++;
+		}
+	}
+
+	return items.join(tight ? '\n' : '\n\n');
+}
+
+function renderBlock(node: ProseMirrorNode): string {
+	if (!node || typeof node !== 'object') {
+		return '';
+	}
+
+	switch (node.type) {
+		case 'doc':
+			return renderBlocks(node.content || []);
+		case 'heading': {
+			const level = Math.min(Math.max(node.attrs?.level ?? 1, 1), 6);
+			const headingText = renderInline(node.content || [], 'heading').trim();
+			return headingText ? '#'.repeat(level) + ' ' + headingText : '';
+		}
+		case 'paragraph':
+			return renderInline(node.content || [], 'block').trim();
+		case 'bulletList':
+		case 'orderedList':
+		case 'taskList':
+			return renderList(node);
+		case 'listItem':
+		case 'taskItem':
+			return renderListItem(node, '- ', true);
+		case 'codeBlock':
+			return renderCodeBlock(node);
+		case 'blockquote':
+			return renderBlockquote(node);
+		case 'horizontalRule':
+			return '---';
+		case 'table':
+			return renderTable(node);
+		case 'image':
+			return renderImage(node);
+		case 'hardBreak':
+			return '';
+		case 'text':
+		case 'mention':
+			return renderInline([node], 'block');
+		default:
+			// Unknown node: keep its content if it has any, otherwise leave a visible marker
+			if (node.content && node.content.length > 0) {
+				const isInline = node.content.every(child => child.type === 'text' || child.type === 'hardBreak' || child.type === 'mention');
+				return isInline ? renderInline(node.content, 'block').trim() : renderBlocks(node.content);
+			}
+			if (node.text) {
+				return node.text;
+			}
+			return renderUnsupported(node);
+	}
+}
+
+function renderBlocks(nodes: ProseMirrorNode[]): string {
+	return nodes
+		.map(node => renderBlock(node))
+		.filter(block => block.trim())
+		.join('\n\n');
+}
+
+/**
+ * Convert a Granola ProseMirror document to Markdown
+ * Covers Granola's schema: headings, paragraphs, bullet/ordered/task lists,
+ * code blocks, blockquotes, horizontal rules, tables, images, mentions,
+ * hard breaks and bold/italic/strike/code/link/highlight/underline marks
+ */
+export function convertProseMirrorToMarkdown(content: ProseMirrorNode): string {
+	if (!content || typeof content !== 'object' || !content.content) {
+		return '';
+	}
+
+	const markdown = renderBlock(content);
+	return markdown ? markdown + '\n' : '';
+}
@@ -0,0 +1,83 @@
+import type { RoutingRule } from './types';
+import { formatDateWithPattern } from './utils';
+
+/**
+ * What routing rules can match on, extracted from a Granola document
+ */
+export interface RoutingFacts {
+	title: string;
+	domains: string[];
+	orgs: string[];
+	creationSource: string;
+	recurring: boolean;
+	date: Date;
+}
+
+const DATE_TOKEN_PATTERN = /\{([YMDd][YMDd\-_. ]*)\}/g;
+
+function splitList(value: string): string[] {
+	return value.split(',').map(item => item.trim().toLowerCase()).filter(item => item);
+}
+
+function toDateKey(date: Date): string {
+	return formatDateWithPattern(date, 'YYYY-MM-DD');
+}
+
+/**
+ * Match a "from..to" date range, either end may be left open
+ * A single date matches that day only
+ */
+function matchesDateRange(range: string, date: Date): boolean {
+	const [from, to] = range.includes('..') ? range.split('..').map(part => part.trim()) : [range.trim(), range.trim()];
+	const day = toDateKey(date);
+	if (from && day < from) return false;
+	if (to && day > to) return false;
+	return true;
+}
+
+export function matchesRoutingRule(rule: RoutingRule, facts: RoutingFacts): boolean {
+	const value = (rule.value || '').trim();
+
+	switch (rule.match) {
+		case 'title':
+			if (!value) return false;
+			try {
+				return new RegExp(value, 'i').test(facts.title);
+			} catch (error) {
+				console.error('Invalid routing rule pattern:', value, error);
+				return false;
+			}
+		case 'domain':
+			return splitList(value).some(domain => facts.domains.some(attendeeDomain =>
+				attendeeDomain === domain || attendeeDomain.endsWith('.' + domain)));
+		case 'org':
+			return splitList(value).some(org => facts.orgs.some(name => name.toLowerCase() === org));
+		case 'source':
+			return splitList(value).includes(facts.creationSource.toLowerCase());
+		case 'recurring':
+			return /^(no|false|single|one-off)$/i.test(value) ? !facts.recurring : facts.recurring;
+		case 'date':
+			return !!value && matchesDateRange(value, facts.date);
+		default:
+			return false;
+	}
+}
+
+/**
+ * First rule matching the document, rules are checked in order
+ */
+export function findRoutingRule(rules: RoutingRule[], facts: RoutingFacts): RoutingRule | null {
+	for (const rule of rules) {
+		if (matchesRoutingRule(rule, facts)) {
+			return rule;
+		}
+	}
+	return null;
+}
+
+/**
+ * Replace date tokens such as {YYYY}, {MM} or {YYYY-MM-DD} with the meeting date
+ */
+export function expandDateTokens(template: string, date: Date): string {
+	return template.replace(DATE_TOKEN_PATTERN, (_, pattern: string) => formatDateWithPattern(date, pattern));
+}
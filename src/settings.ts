@@ -1,6 +1,7 @@
 import { App, PluginSettingTab, Setting } from 'obsidian';
 import type GranolaSyncPlugin from './main';
-import { getDefaultAuthPath, MIN_DOCUMENT_LIMIT, MAX_DOCUMENT_LIMIT, REQUIRED_FRONTMATTER_FIELDS } from './constants';
+import type { MissingDocumentAction, RoutingMatch, SyncReportMode } from './types';
+import { getDefaultAuthPath, GRANOLA_API_BASE, MIN_DOCUMENT_LIMIT, MAX_DOCUMENT_LIMIT, REQUIRED_FRONTMATTER_FIELDS } from './constants';
 
 const FIELD_LABELS: Record<string, string> = {
 	'category': 'Category',
@@ -20,6 +21,15 @@ const FIELD_LABELS: Record<string, string> = {
 	'granola_url': 'Granola URL',
 };
 
+const ROUTING_VALUE_PLACEHOLDERS: Record<RoutingMatch, string> = {
+	'title': '^1:1',
+	'domain': 'acme.com',
+	'org': 'Acme',
+	'source': 'macOS',
+	'recurring': 'yes / no',
+	'date': '2026-01-01..2026-06-30',
+};
+
 export class GranolaSyncSettingTab extends PluginSettingTab {
 	plugin: GranolaSyncPlugin;
 
@@ -59,6 +69,29 @@ export class GranolaSyncSettingTab extends PluginSettingTab {
 				});
 			});
 
+		new Setting(containerEl)
+			.setName('API base URL')
+			.setDesc('Granola API endpoint, e.g. a local mock server for testing')
+			.addText(text => {
+				text.setPlaceholder(GRANOLA_API_BASE);
+				text.setValue(this.plugin.settings.apiBaseUrl);
+				text.onChange(async (value) => {
+					this.plugin.settings.apiBaseUrl = value.trim() || GRANOLA_API_BASE;
+					await this.plugin.saveSettings();
+				});
+			});
+
+		new Setting(containerEl)
+			.setName('Save refreshed tokens to Granola')
+			.setDesc("Write access tokens refreshed by the plugin back to Granola's credentials file. Off by default: refreshed tokens are kept in memory, and the Granola app may need to log in again after the plugin refreshes them.")
+			.addToggle(toggle => {
+				toggle.setValue(this.plugin.settings.saveRefreshedTokens);
+				toggle.onChange(async (value) => {
+					this.plugin.settings.saveRefreshedTokens = value;
+					await this.plugin.saveSettings();
+				});
+			});
+
 		new Setting(containerEl)
 			.setName('Auto-sync frequency')
 			.setDesc('How often to automatically sync notes')
@@ -109,6 +142,127 @@ export class GranolaSyncSettingTab extends PluginSettingTab {
 				});
 			});
 
+		// Sync filters
+		containerEl.createEl('h3', { text: 'Sync filters' });
+		containerEl.createEl('p', {
+			text: 'Filtered meetings are never written and do not count against the document limit. Use "Rebuild all notes" after loosening a filter to pick up meetings it skipped.',
+			cls: 'setting-item-description',
+		});
+
+		const filterTexts: Array<{ key: 'includeTitlePattern' | 'excludeTitlePattern' | 'includeDomains' | 'excludeDomains' | 'syncFromDate' | 'syncToDate'; name: string; desc: string; placeholder: string }> = [
+			{ key: 'includeTitlePattern', name: 'Include titles', desc: 'Only sync meetings whose title matches this regular expression', placeholder: 'standup|1:1' },
+			{ key: 'excludeTitlePattern', name: 'Exclude titles', desc: 'Skip meetings whose title matches this regular expression', placeholder: '^Focus time' },
+			{ key: 'includeDomains', name: 'Include domains', desc: 'Only sync meetings with an attendee from one of these domains (comma-separated)', placeholder: 'acme.com, example.org' },
+			{ key: 'excludeDomains', name: 'Exclude domains', desc: 'Skip meetings with an attendee from one of these domains (comma-separated)', placeholder: 'recruiting.com' },
+			{ key: 'syncFromDate', name: 'Sync from', desc: 'Skip meetings before this date (YYYY-MM-DD)', placeholder: '2026-01-01' },
+			{ key: 'syncToDate', name: 'Sync until', desc: 'Skip meetings after this date (YYYY-MM-DD)', placeholder: '2026-12-31' },
+		];
+
+		for (const filter of filterTexts) {
+			new Setting(containerEl)
+				.setName(filter.name)
+				.setDesc(filter.desc)
+				.addText(text => {
+					text.setPlaceholder(filter.placeholder);
+					text.setValue(this.plugin.settings[filter.key]);
+					text.onChange(async (value) => {
+						this.plugin.settings[filter.key] = value.trim();
+						await this.plugin.saveSettings();
+					});
+				});
+		}
+
+		new Setting(containerEl)
+			.setName('Skip private meetings')
+			.setDesc('Skip meetings recorded with privacy mode on')
+			.addToggle(toggle => {
+				toggle.setValue(this.plugin.settings.skipPrivateMeetings);
+				toggle.onChange(async (value) => {
+					this.plugin.settings.skipPrivateMeetings = value;
+					await this.plugin.saveSettings();
+				});
+			});
+
+		new Setting(containerEl)
+			.setName('Skip invalid meetings')
+			.setDesc('Skip documents Granola does not consider a valid meeting')
+			.addToggle(toggle => {
+				toggle.setValue(this.plugin.settings.skipInvalidMeetings);
+				toggle.onChange(async (value) => {
+					this.plugin.settings.skipInvalidMeetings = value;
+					await this.plugin.saveSettings();
+				});
+			});
+
+		new Setting(containerEl)
+			.setName('Minimum content length')
+			.setDesc('Skip meetings with fewer characters of My Notes and Enhanced Notes combined (0 to sync all)')
+			.addText(text => {
+				text.inputEl.type = 'number';
+				text.setPlaceholder('0');
+				text.setValue(String(this.plugin.settings.minContentLength));
+				text.onChange(async (value) => {
+					const length = parseInt(value);
+					this.plugin.settings.minContentLength = !isNaN(length) && length > 0 ? length : 0;
+					await this.plugin.saveSettings();
+				});
+			});
+
+		// Deleted meetings
+		containerEl.createEl('h3', { text: 'Deleted meetings' });
+
+		new Setting(containerEl)
+			.setName('When a meeting is deleted in Granola')
+			.setDesc('What to do with synced notes whose meeting no longer exists. Notes are never deleted.')
+			.addDropdown(dropdown => {
+				dropdown.addOption('keep', 'Leave the note alone');
+				dropdown.addOption('tag', 'Tag the note');
+				dropdown.addOption('archive', 'Move the note to an archive folder');
+
+				dropdown.setValue(this.plugin.settings.missingDocumentAction);
+				dropdown.onChange(async (value) => {
+					this.plugin.settings.missingDocumentAction = value as MissingDocumentAction;
+					await this.plugin.saveSettings();
+					this.display();
+				});
+			});
+
+		if (this.plugin.settings.missingDocumentAction === 'tag') {
+			new Setting(containerEl)
+				.setName('Deleted tag')
+				.setDesc('Tag added to notes of deleted meetings')
+				.addText(text => {
+					text.setPlaceholder('granola/deleted');
+					text.setValue(this.plugin.settings.missingDocumentTag);
+					text.onChange(async (value) => {
+						this.plugin.settings.missingDocumentTag = value.trim();
+						await this.plugin.saveSettings();
+					});
+				});
+		} else if (this.plugin.settings.missingDocumentAction === 'archive') {
+			new Setting(containerEl)
+				.setName('Archive folder')
+				.setDesc('Folder notes of deleted meetings are moved to')
+				.addText(text => {
+					text.setPlaceholder('Notes/Archive');
+					text.setValue(this.plugin.settings.archiveFolder);
+					text.onChange(async (value) => {
+						this.plugin.settings.archiveFolder = value.trim();
+						await this.plugin.saveSettings();
+					});
+				});
+		}
+
+		new Setting(containerEl)
+			.setName('Check now')
+			.setDesc('Unless notes are left alone, regular syncs also check once a day')
+			.addButton(button => {
+				button.setButtonText('Check for deleted meetings');
+				button.onClick(async () => {
+					await this.plugin.checkDeletedMeetings();
+				});
+			});
+
 		// Filename settings
 		containerEl.createEl('h3', { text: 'Filename settings' });
 
@@ -184,6 +338,92 @@ export class GranolaSyncSettingTab extends PluginSettingTab {
 				});
 			});
 
+		// Folder routing
+		containerEl.createEl('h3', { text: 'Folder routing' });
+
+		const routingRules = this.plugin.settings.routingRules || [];
+
+		const routingDesc = containerEl.createEl('div', { cls: 'setting-item-description' });
+		routingDesc.style.marginBottom = '10px';
+		routingDesc.textContent = 'Routing rules are checked in order; the first match picks the folder and filename template for new notes. Folders can use date tokens like Meetings/{YYYY}/{MM}. Leave the filename empty to use the filename template above.';
+
+		for (let i = 0; i < routingRules.length; i++) {
+			const rule = routingRules[i];
+			new Setting(containerEl)
+				.setName('Match → Folder / Filename')
+				.addDropdown(dropdown => {
+					dropdown.addOption('title', 'Title (regex)');
+					dropdown.addOption('domain', 'Attendee domain');
+					dropdown.addOption('org', 'Organization');
+					dropdown.addOption('source', 'Creation source');
+					dropdown.addOption('recurring', 'Recurring event');
+					dropdown.addOption('date', 'Date range');
+
+					dropdown.setValue(rule.match);
+					dropdown.onChange(async (value) => {
+						this.plugin.settings.routingRules[i].match = value as RoutingMatch;
+						await this.plugin.saveSettings();
+						this.display();
+					});
+				})
+				.addText(text => {
+					text.setPlaceholder(ROUTING_VALUE_PLACEHOLDERS[rule.match]);
+					text.setValue(rule.value);
+					text.onChange(async (value) => {
+						this.plugin.settings.routingRules[i].value = value;
+						await this.plugin.saveSettings();
+					});
+				})
+				.addText(text => {
+					text.setPlaceholder('Meetings/{YYYY}/{MM}');
+					text.setValue(rule.folder);
+					text.onChange(async (value) => {
+						this.plugin.settings.routingRules[i].folder = value.trim();
+						await this.plugin.saveSettings();
+					});
+				})
+				.addText(text => {
+					text.setPlaceholder('Filename (optional)');
+					text.setValue(rule.filenameTemplate);
+					text.onChange(async (value) => {
+						this.plugin.settings.routingRules[i].filenameTemplate = value;
+						await this.plugin.saveSettings();
+					});
+				})
+				.addExtraButton(button => {
+					button.setIcon('trash');
+					button.setTooltip('Remove rule');
+					button.onClick(async () => {
+						this.plugin.settings.routingRules.splice(i, 1);
+						await this.plugin.saveSettings();
+						this.display();
+					});
+				});
+		}
+
+		new Setting(containerEl)
+			.addButton(button => {
+				button.setButtonText('Add routing rule');
+				button.onClick(async () => {
+					if (!this.plugin.settings.routingRules) {
+						this.plugin.settings.routingRules = [];
+					}
+					this.plugin.settings.routingRules.push({ match: 'title', value: '', folder: '', filenameTemplate: '' });
+					await this.plugin.saveSettings();
+					this.display();
+				});
+			});
+
+		new Setting(containerEl)
+			.setName('Move synced notes')
+			.setDesc('Move already-synced notes (and their attachments) to the folder their rule gives them now. Links to the notes are updated.')
+			.addButton(button => {
+				button.setButtonText('Move notes');
+				button.onClick(async () => {
+					await this.plugin.moveSyncedNotes();
+				});
+			});
+
 		// Note content settings
 		containerEl.createEl('h3', { text: 'Note content' });
 
@@ -220,6 +460,134 @@ export class GranolaSyncSettingTab extends PluginSettingTab {
 				});
 			});
 
+		// Note template
+		containerEl.createEl('h3', { text: 'Note template' });
+
+		new Setting(containerEl)
+			.setName('Template file')
+			.setDesc('Vault path to a note body template. Leave empty for the built-in layout. Use {{title}}, {{enhanced_notes}}, {{my_notes}}, {{transcript}}, {{attachments}}, {{attendees}}, {{org}}, {{calendar.description}}, {{date:YYYY-MM-DD}}, {{#if}}, {{#each}}')
+			.addText(text => {
+				text.setPlaceholder('Templates/Granola meeting.md');
+				text.setValue(this.plugin.settings.noteTemplatePath);
+				text.onChange(async (value) => {
+					this.plugin.settings.noteTemplatePath = value.trim();
+					await this.plugin.saveSettings();
+				});
+			});
+
+		const templateRules = this.plugin.settings.templateRules || [];
+
+		const templateRulesDesc = containerEl.createEl('div', { cls: 'setting-item-description' });
+		templateRulesDesc.style.marginBottom = '10px';
+		templateRulesDesc.textContent = 'Template rules are checked in order. A rule matches when the calendar title matches its pattern (regex) and/or the note is synced into its folder.';
+
+		for (let i = 0; i < templateRules.length; i++) {
+			const rule = templateRules[i];
+			new Setting(containerEl)
+				.setName('Title pattern / folder → Template')
+				.addText(text => {
+					text.setPlaceholder('^1:1');
+					text.setValue(rule.titlePattern);
+					text.onChange(async (value) => {
+						this.plugin.settings.templateRules[i].titlePattern = value;
+						await this.plugin.saveSettings();
+					});
+				})
+				.addText(text => {
+					text.setPlaceholder('Folder (optional)');
+					text.setValue(rule.folder);
+					text.onChange(async (value) => {
+						this.plugin.settings.templateRules[i].folder = value.trim();
+						await this.plugin.saveSettings();
+					});
+				})
+				.addText(text => {
+					text.setPlaceholder('Templates/1on1.md');
+					text.setValue(rule.templatePath);
+					text.onChange(async (value) => {
+						this.plugin.settings.templateRules[i].templatePath = value.trim();
+						await this.plugin.saveSettings();
+					});
+				})
+				.addExtraButton(button => {
+					button.setIcon('trash');
+					button.setTooltip('Remove rule');
+					button.onClick(async () => {
+						this.plugin.settings.templateRules.splice(i, 1);
+						await this.plugin.saveSettings();
+						this.display();
+					});
+				});
+		}
+
+		new Setting(containerEl)
+			.addButton(button => {
+				button.setButtonText('Add template rule');
+				button.onClick(async () => {
+					if (!this.plugin.settings.templateRules) {
+						this.plugin.settings.templateRules = [];
+					}
+					this.plugin.settings.templateRules.push({ titlePattern: '', folder: '', templatePath: '' });
+					await this.plugin.saveSettings();
+					this.display();
+				});
+			});
+
+		// Action items
+		containerEl.createEl('h3', { text: 'Action items' });
+
+		new Setting(containerEl)
+			.setName('Extract action items')
+			.setDesc('Turn "Action items" / "Next steps" sections in enhanced notes into tasks with owner and due date')
+			.addToggle(toggle => {
+				toggle.setValue(this.plugin.settings.extractActionItems);
+				toggle.onChange(async (value) => {
+					this.plugin.settings.extractActionItems = value;
+					await this.plugin.saveSettings();
+					this.display();
+				});
+			});
+
+		if (this.plugin.settings.extractActionItems) {
+			new Setting(containerEl)
+				.setName('Action item headings')
+				.setDesc('Section headings that contain action items (comma-separated, case-insensitive)')
+				.addText(text => {
+					text.setPlaceholder('Action items, Next steps');
+					text.setValue(this.plugin.settings.actionItemHeadings);
+					text.onChange(async (value) => {
+						this.plugin.settings.actionItemHeadings = value;
+						await this.plugin.saveSettings();
+					});
+				});
+
+			new Setting(containerEl)
+				.setName('Collect tasks in a note')
+				.setDesc('Also add every meeting\'s action items to a single note, with a link back to the meeting')
+				.addToggle(toggle => {
+					toggle.setValue(this.plugin.settings.enableMeetingTasksNote);
+					toggle.onChange(async (value) => {
+						this.plugin.settings.enableMeetingTasksNote = value;
+						await this.plugin.saveSettings();
+						this.display();
+					});
+				});
+
+			if (this.plugin.settings.enableMeetingTasksNote) {
+				new Setting(containerEl)
+					.setName('Meeting tasks note')
+					.setDesc('Vault path of the note that collects meeting tasks')
+					.addText(text => {
+						text.setPlaceholder('Meeting tasks.md');
+						text.setValue(this.plugin.settings.meetingTasksNotePath);
+						text.onChange(async (value) => {
+							this.plugin.settings.meetingTasksNotePath = value.trim();
+							await this.plugin.saveSettings();
+						});
+					});
+			}
+		}
+
 		// Frontmatter settings
 		containerEl.createEl('h3', { text: 'Frontmatter' });
 
@@ -365,6 +733,135 @@ export class GranolaSyncSettingTab extends PluginSettingTab {
 				});
 		}
 
+		// People and organizations
+		containerEl.createEl('h3', { text: 'People and organizations' });
+
+		const peopleDesc = containerEl.createEl('div', { cls: 'setting-item-description' });
+		peopleDesc.style.marginBottom = '10px';
+		peopleDesc.textContent = 'Attendees are linked to existing person notes by their email (an "emails" property or the mappings below) or an "aliases" entry. Organizations are linked by a "domains" property or "aliases".';
+
+		new Setting(containerEl)
+			.setName('People folder')
+			.setDesc('Folder with your person notes')
+			.addText(text => {
+				text.setPlaceholder('People');
+				text.setValue(this.plugin.settings.peopleFolder);
+				text.onChange(async (value) => {
+					this.plugin.settings.peopleFolder = value.trim();
+					await this.plugin.saveSettings();
+				});
+			});
+
+		const personMappings = this.plugin.settings.personMappings || [];
+
+		for (let i = 0; i < personMappings.length; i++) {
+			const mapping = personMappings[i];
+			new Setting(containerEl)
+				.setName('Email → Person note')
+				.addText(text => {
+					text.setPlaceholder('jane@example.com');
+					text.setValue(mapping.email);
+					text.onChange(async (value) => {
+						this.plugin.settings.personMappings[i].email = value.trim();
+						await this.plugin.saveSettings();
+					});
+				})
+				.addText(text => {
+					text.setPlaceholder('Jane Doe');
+					text.setValue(mapping.note);
+					text.onChange(async (value) => {
+						this.plugin.settings.personMappings[i].note = value.trim();
+						await this.plugin.saveSettings();
+					});
+				})
+				.addExtraButton(button => {
+					button.setIcon('trash');
+					button.setTooltip('Remove mapping');
+					button.onClick(async () => {
+						this.plugin.settings.personMappings.splice(i, 1);
+						await this.plugin.saveSettings();
+						this.display();
+					});
+				});
+		}
+
+		new Setting(containerEl)
+			.addButton(button => {
+				button.setButtonText('Add email mapping');
+				button.onClick(async () => {
+					if (!this.plugin.settings.personMappings) {
+						this.plugin.settings.personMappings = [];
+					}
+					this.plugin.settings.personMappings.push({ email: '', note: '' });
+					await this.plugin.saveSettings();
+					this.display();
+				});
+			});
+
+		new Setting(containerEl)
+			.setName('Create person notes')
+			.setDesc('Create missing person notes in the people folder and add each meeting to their "## Meetings" list')
+			.addToggle(toggle => {
+				toggle.setValue(this.plugin.settings.createPersonNotes);
+				toggle.onChange(async (value) => {
+					this.plugin.settings.createPersonNotes = value;
+					await this.plugin.saveSettings();
+					this.display();
+				});
+			});
+
+		if (this.plugin.settings.createPersonNotes) {
+			new Setting(containerEl)
+				.setName('Person note template')
+				.setDesc('Template for new person notes ({{name}}, {{email}}, {{company}}, {{org}}). Leave empty for the built-in layout.')
+				.addText(text => {
+					text.setPlaceholder('Templates/Person.md');
+					text.setValue(this.plugin.settings.personNoteTemplatePath);
+					text.onChange(async (value) => {
+						this.plugin.settings.personNoteTemplatePath = value.trim();
+						await this.plugin.saveSettings();
+					});
+				});
+		}
+
+		new Setting(containerEl)
+			.setName('Organizations folder')
+			.setDesc('Folder with your organization notes')
+			.addText(text => {
+				text.setPlaceholder('Organizations');
+				text.setValue(this.plugin.settings.orgFolder);
+				text.onChange(async (value) => {
+					this.plugin.settings.orgFolder = value.trim();
+					await this.plugin.saveSettings();
+				});
+			});
+
+		new Setting(containerEl)
+			.setName('Create organization notes')
+			.setDesc('Create missing organization notes for the org field and add each meeting to their "## Meetings" list')
+			.addToggle(toggle => {
+				toggle.setValue(this.plugin.settings.createOrgNotes);
+				toggle.onChange(async (value) => {
+					this.plugin.settings.createOrgNotes = value;
+					await this.plugin.saveSettings();
+					this.display();
+				});
+			});
+
+		if (this.plugin.settings.createOrgNotes) {
+			new Setting(containerEl)
+				.setName('Organization note template')
+				.setDesc('Template for new organization notes ({{name}}, {{domain}}). Leave empty for the built-in layout.')
+				.addText(text => {
+					text.setPlaceholder('Templates/Organization.md');
+					text.setValue(this.plugin.settings.orgNoteTemplatePath);
+					text.onChange(async (value) => {
+						this.plugin.settings.orgNoteTemplatePath = value.trim();
+						await this.plugin.saveSettings();
+					});
+				});
+		}
+
 		// Attachments
 		containerEl.createEl('h3', { text: 'Attachments' });
 
@@ -530,9 +1027,52 @@ export class GranolaSyncSettingTab extends PluginSettingTab {
 				});
 		}
 
+		// Sync report
+		containerEl.createEl('h3', { text: 'Sync report' });
+
+		new Setting(containerEl)
+			.setName('Sync report')
+			.setDesc('Write what each sync created, updated, skipped or failed to a note')
+			.addDropdown(dropdown => {
+				dropdown.addOption('off', 'Off');
+				dropdown.addOption('latest', 'Latest sync only');
+				dropdown.addOption('append', 'Append every sync (log)');
+
+				dropdown.setValue(this.plugin.settings.syncReportMode);
+				dropdown.onChange(async (value) => {
+					this.plugin.settings.syncReportMode = value as SyncReportMode;
+					await this.plugin.saveSettings();
+					this.display();
+				});
+			});
+
+		if (this.plugin.settings.syncReportMode !== 'off') {
+			new Setting(containerEl)
+				.setName('Report note')
+				.setDesc('Vault path of the sync report note')
+				.addText(text => {
+					text.setPlaceholder('Granola sync report.md');
+					text.setValue(this.plugin.settings.syncReportPath);
+					text.onChange(async (value) => {
+						this.plugin.settings.syncReportPath = value.trim();
+						await this.plugin.saveSettings();
+					});
+				});
+		}
+
 		// Actions
 		containerEl.createEl('h3', { text: 'Actions' });
 
+		new Setting(containerEl)
+			.setName('Preview sync')
+			.setDesc('See what a sync would create, update or skip before anything is written')
+			.addButton(button => {
+				button.setButtonText('Preview');
+				button.onClick(async () => {
+					await this.plugin.previewSync();
+				});
+			});
+
 		new Setting(containerEl)
 			.setName('Sync now')
 			.setDesc('Manually sync your Granola notes')
@@ -0,0 +1,128 @@
+import type { DataAdapter } from 'obsidian';
+import type { SyncIndexData, SyncIndexEntry } from './types';
+import { SYNC_INDEX_VERSION } from './constants';
+import { safeJsonParse } from './utils';
+
+function createEmptyIndex(): SyncIndexData {
+	return { version: SYNC_INDEX_VERSION, watermark: null, settingsFingerprint: null, entries: {} };
+}
+
+/**
+ * Persistent index of synced Granola documents
+ * Maps granola_id → vault path and last updated_at
+ */
+export class SyncIndex {
+	private adapter: DataAdapter;
+	private filePath: string;
+	private data: SyncIndexData = createEmptyIndex();
+	private dirty = false;
+
+	constructor(adapter: DataAdapter, filePath: string) {
+		this.adapter = adapter;
+		this.filePath = filePath;
+	}
+
+	async load(): Promise<void> {
+		try {
+			if (!(await this.adapter.exists(this.filePath))) {
+				this.data = createEmptyIndex();
+				return;
+			}
+
+			const raw = await this.adapter.read(this.filePath);
+			const { data, error } = safeJsonParse<SyncIndexData>(raw, 'sync index');
+			if (error || !data || data.version !== SYNC_INDEX_VERSION || !data.entries) {
+				if (error) console.error(error);
+				this.data = createEmptyIndex();
+				return;
+			}
+
+			this.data = { ...data, settingsFingerprint: data.settingsFingerprint ?? null };
+		} catch (error) {
+			console.error('Error loading sync index:', error);
+			this.data = createEmptyIndex();
+		}
+	}
+
+	async save(): Promise<void> {
+		if (!this.dirty) return;
+
+		try {
+			await this.adapter.write(this.filePath, JSON.stringify(this.data));
+			this.dirty = false;
+		} catch (error) {
+			console.error('Error saving sync index:', error);
+		}
+	}
+
+	getWatermark(): string | null {
+		return this.data.watermark;
+	}
+
+	setWatermark(watermark: string | null): void {
+		if (this.data.watermark === watermark) return;
+		this.data.watermark = watermark;
+		this.dirty = true;
+	}
+
+	getSettingsFingerprint(): string | null {
+		return this.data.settingsFingerprint;
+	}
+
+	setSettingsFingerprint(fingerprint: string): void {
+		if (this.data.settingsFingerprint === fingerprint) return;
+		this.data.settingsFingerprint = fingerprint;
+		this.dirty = true;
+	}
+
+	get(granolaId: string): SyncIndexEntry | null {
+		return this.data.entries[granolaId] ?? null;
+	}
+
+	set(granolaId: string, entry: SyncIndexEntry): void {
+		this.data.entries[granolaId] = entry;
+		this.dirty = true;
+	}
+
+	delete(granolaId: string): void {
+		if (!(granolaId in this.data.entries)) return;
+		delete this.data.entries[granolaId];
+		this.dirty = true;
+	}
+
+	entries(): Array<[string, SyncIndexEntry]> {
+		return Object.keys(this.data.entries).map(id => [id, this.data.entries[id]] as [string, SyncIndexEntry]);
+	}
+
+	findIdByPath(filePath: string): string | null {
+		for (const id of Object.keys(this.data.entries)) {
+			if (this.data.entries[id].path === filePath) {
+				return id;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Keep paths current when notes are renamed or moved inside Obsidian
+	 */
+	handleRename(oldPath: string, newPath: string): void {
+		const id = this.findIdByPath(oldPath);
+		if (id) {
+			this.data.entries[id].path = newPath;
+			this.dirty = true;
+		}
+	}
+
+	handleDelete(filePath: string): void {
+		const id = this.findIdByPath(filePath);
+		if (id) {
+			this.delete(id);
+		}
+	}
+
+	clear(): void {
+		this.data = createEmptyIndex();
+		this.dirty = true;
+	}
+}
@@ -0,0 +1,58 @@
+import type { SyncAction, SyncResult } from './types';
+import { formatDate } from './utils';
+
+export const SYNC_ACTION_LABELS: Record<SyncAction, string> = {
+	'create': 'Create',
+	'update': 'Update',
+	'conflict': 'Conflict',
+	'skip': 'Skip',
+	'failed': 'Failed',
+};
+
+/** Order in which actions are listed, most interesting first */
+export const SYNC_ACTION_ORDER: SyncAction[] = ['failed', 'conflict', 'create', 'update', 'skip'];
+
+/**
+ * One-line summary such as "2 created, 1 updated, 4 skipped"
+ */
+export function summarizeSyncResults(results: SyncResult[]): string {
+	const count = (action: SyncAction): number => results.filter(result => result.action === action).length;
+	const parts = [
+		count('create') + ' created',
+		count('update') + ' updated',
+		count('conflict') + ' with conflicts',
+		count('skip') + ' skipped',
+	];
+	if (count('failed') > 0) {
+		parts.push(count('failed') + ' failed');
+	}
+	return parts.join(', ');
+}
+
+function escapeTableCell(text: string): string {
+	return text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Markdown section describing one sync run
+ */
+export function formatSyncReport(results: SyncResult[], date: Date): string {
+	const lines = [
+		'## Sync ' + formatDate(date, 'YYYY-MM-DD HH:mm'),
+		'',
+		summarizeSyncResults(results),
+	];
+
+	const sorted = results.slice().sort((a, b) => SYNC_ACTION_ORDER.indexOf(a.action) - SYNC_ACTION_ORDER.indexOf(b.action));
+	if (sorted.length > 0) {
+		lines.push('', '| Action | Meeting | Reason |', '| --- | --- | --- |');
+		for (const result of sorted) {
+			const meeting = result.path
+				? '[[' + result.path.replace(/\.md$/, '') + '\\|' + escapeTableCell(result.title) + ']]'
+				: escapeTableCell(result.title);
+			lines.push('| ' + SYNC_ACTION_LABELS[result.action] + ' | ' + meeting + ' | ' + escapeTableCell(result.reason) + ' |');
+		}
+	}
+
+	return lines.join('\n') + '\n';
+}
@@ -0,0 +1,241 @@
+import { wrapManagedBlock, type ManagedBlockId } from './note-merge';
+import { formatDateWithPattern } from './utils';
+
+/**
+ * Plugin-owned section rendered into a template
+ * Written inside managed block markers so re-sync can update it in place
+ */
+export class ManagedSection {
+	id: ManagedBlockId;
+	markdown: string;
+
+	constructor(id: ManagedBlockId, markdown: string) {
+		this.id = id;
+		this.markdown = markdown.trim();
+	}
+}
+
+export type TemplateContext = Record<string, unknown>;
+
+type TemplateNode =
+	| { type: 'text'; value: string }
+	| { type: 'var'; path: string; format: string | null }
+	| { type: 'if'; path: string; negate: boolean; then: TemplateNode[]; otherwise: TemplateNode[] }
+	| { type: 'each'; path: string; body: TemplateNode[] };
+
+type BlockNode = Extract<TemplateNode, { type: 'if' } | { type: 'each' }>;
+
+const TAG_PATTERN = /\{\{\s*([^}]*?)\s*\}\}/g;
+
+/**
+ * Format a date for templates: supports YYYY, MM, DD, HH, mm, ss and
+ * day/month names (dddd, ddd, MMMM, MMM)
+ */
+export function formatTemplateDate(value: string | Date, pattern: string): string {
+	const date = new Date(value);
+	if (isNaN(date.getTime())) return '';
+
+	const withTime = pattern
+		.replace(/HH/g, String(date.getHours()).padStart(2, '0'))
+		.replace(/mm/g, String(date.getMinutes()).padStart(2, '0'))
+		.replace(/ss/g, String(date.getSeconds()).padStart(2, '0'));
+	return formatDateWithPattern(date, withTime);
+}
+
+function isBlockTag(tag: string): boolean {
+	return /^(#|\/|else$)/.test(tag);
+}
+
+/**
+ * Split a template into text and tags
+ * Block tags standing alone on a line take the whole line with them, so
+ * conditionals don't leave blank lines behind.
+ */
+function tokenize(template: string): Array<{ text: string } | { tag: string }> {
+	const tokens: Array<{ text: string } | { tag: string }> = [];
+	const pattern = new RegExp(TAG_PATTERN.source, 'g');
+	let lastIndex = 0;
+	let match: RegExpExecArray | null;
+
+	while ((match = pattern.exec(template)) !== null) {
+		let before = template.slice(lastIndex, match.index);
+		let end = match.index + match[0].length;
+		const tag = match[1];
+
+		if (isBlockTag(tag)) {
+			const lineStart = template.lastIndexOf('\n', match.index - 1) + 1;
+			const afterMatch = template.slice(end).match(/^[ \t]*(\r?\n|$)/);
+			const standalone = lineStart >= lastIndex && afterMatch !== null &&
+				/^[ \t]*$/.test(template.slice(lineStart, match.index));
+			if (standalone && afterMatch) {
+				before = before.slice(0, lineStart - lastIndex);
+				end += afterMatch[0].length;
+			}
+		}
+
+		if (before) tokens.push({ text: before });
+		tokens.push({ tag });
+		lastIndex = end;
+	}
+
+	if (lastIndex < template.length) {
+		tokens.push({ text: template.slice(lastIndex) });
+	}
+
+	return tokens;
+}
+
+/**
+ * Parse a template into a tree of text, variables, conditionals and loops
+ * Throws on unbalanced block tags
+ */
+export function parseTemplate(template: string): TemplateNode[] {
+	const root: TemplateNode[] = [];
+	const stack: Array<{ node: BlockNode; inElse: boolean }> = [];
+
+	const current = (): TemplateNode[] => {
+		const top = stack[stack.length - 1];
+		if (!top) return root;
+		if (top.node.type === 'each') return top.node.body;
+		return top.inElse ? top.node.otherwise : top.node.then;
+	};
+
+	for (const token of tokenize(template)) {
+		if ('text' in token) {
+			current().push({ type: 'text', value: token.text });
+			continue;
+		}
+
+		const tag = token.tag;
+		const blockMatch = tag.match(/^#(if|unless|each)\s+(\S+)$/);
+
+		if (blockMatch) {
+			const [, keyword, path] = blockMatch;
+			const node: BlockNode = keyword === 'each'
+				? { type: 'each', path, body: [] }
+				: { type: 'if', path, negate: keyword === 'unless', then: [], otherwise: [] };
+			current().push(node);
+			stack.push({ node, inElse: false });
+		} else if (tag === 'else') {
+			const top = stack[stack.length - 1];
+			if (!top || top.node.type !== 'if' || top.inElse) {
+				throw new Error('Unexpected {{else}} in template');
+			}
+			top.inElse = true;
+		} else if (tag.startsWith('/')) {
+			const keyword = tag.slice(1).trim();
+			const top = stack.pop();
+			const expected = top?.node.type === 'each' ? 'each' : ['if', 'unless'];
+			if (!top || !expected.includes(keyword)) {
+				throw new Error('Unexpected {{/' + keyword + '}} in template');
+			}
+		} else {
+			const separator = tag.indexOf(':');
+			current().push(separator === -1
+				? { type: 'var', path: tag, format: null }
+				: { type: 'var', path: tag.slice(0, separator).trim(), format: tag.slice(separator + 1).trim() });
+		}
+	}
+
+	if (stack.length > 0) {
+		throw new Error('Unclosed {{#' + stack[stack.length - 1].node.type + '}} in template');
+	}
+
+	return root;
+}
+
+function lookup(scopes: TemplateContext[], path: string): unknown {
+	if (path === 'this' || path === '.') {
+		return scopes[scopes.length - 1]['this'];
+	}
+
+	const [head, ...rest] = path.split('.');
+	for (let i = scopes.length - 1; i >= 0; i--) {
+		const scope = scopes[i];
+		let value: unknown;
+		if (head in scope) {
+			value = scope[head];
+		} else if (scope['this'] && typeof scope['this'] === 'object' && head in (scope['this'] as object)) {
+			value = (scope['this'] as Record<string, unknown>)[head];
+		} else {
+			continue;
+		}
+
+		for (const key of rest) {
+			if (value === null || value === undefined || typeof value !== 'object') return undefined;
+			value = (value as Record<string, unknown>)[key];
+		}
+		return value;
+	}
+
+	return undefined;
+}
+
+function isTruthy(value: unknown): boolean {
+	if (value instanceof ManagedSection) return value.markdown !== '';
+	if (Array.isArray(value)) return value.length > 0;
+	if (typeof value === 'string') return value.trim() !== '';
+	return !!value;
+}
+
+function stringify(value: unknown, format: string | null): string {
+	if (value === null || value === undefined) return '';
+	if (Array.isArray(value)) return value.map(item => stringify(item, format)).filter(item => item).join(', ');
+	if (format && (typeof value === 'string' || value instanceof Date)) return formatTemplateDate(value, format);
+	if (typeof value === 'object') return '';
+	return String(value);
+}
+
+/**
+ * Continuation lines of multi-line values repeat the current line's indent
+ * and quote prefix, so values can be placed inside callouts and lists
+ */
+function getLinePrefix(output: string): string {
+	const lastLine = output.slice(output.lastIndexOf('\n') + 1);
+	return lastLine.match(/^[ \t>]*/)?.[0] ?? '';
+}
+
+function prefixContinuationLines(text: string, prefix: string): string {
+	if (!prefix) return text;
+	return text
+		.split('\n')
+		.map((line, i) => i === 0 ? line : (line ? prefix + line : prefix.trimEnd()))
+		.join('\n');
+}
+
+function renderNodes(nodes: TemplateNode[], scopes: TemplateContext[], output: string): string {
+	for (const node of nodes) {
+		if (node.type === 'text') {
+			output += node.value;
+		} else if (node.type === 'var') {
+			const value = lookup(scopes, node.path);
+			const prefix = getLinePrefix(output);
+			if (value instanceof ManagedSection) {
+				if (value.markdown) {
+					output += wrapManagedBlock(value.id, value.markdown, prefix);
+				}
+			} else {
+				output += prefixContinuationLines(stringify(value, node.format), prefix);
+			}
+		} else if (node.type === 'if') {
+			const matches = isTruthy(lookup(scopes, node.path)) !== node.negate;
+			output = renderNodes(matches ? node.then : node.otherwise, scopes, output);
+		} else if (node.type === 'each') {
+			const value = lookup(scopes, node.path);
+			const items = Array.isArray(value) ? value : [];
+			items.forEach((item, index) => {
+				output = renderNodes(node.body, scopes.concat([{ 'this': item, '@index': index, '@number': index + 1 }]), output);
+			});
+		}
+	}
+	return output;
+}
+
+/**
+ * Render a note body template
+ * Supports {{var}}, {{a.b}}, {{date:YYYY-MM-DD}}, {{#if}}/{{#unless}}/{{else}}
+ * and {{#each list}} with {{this}}, {{@index}} and {{@number}}
+ */
+export function renderTemplate(template: string, context: TemplateContext): string {
+	return renderNodes(parseTemplate(template), [context], '');
+}
@@ -1,8 +1,22 @@
 // Granola API Types
 
+/**
+ * Token blob stored by the Granola app, either as an object or a JSON string
+ */
+export interface GranolaTokens {
+	access_token: string;
+	refresh_token?: string;
+	id_token?: string;
+	/** Lifetime of the access token in seconds */
+	expires_in?: number;
+	/** When the access token was issued, in milliseconds since the epoch */
+	obtained_at?: number;
+	client_id?: string;
+}
+
 export interface GranolaCredentials {
-	workos_tokens?: string | { access_token: string };
-	cognito_tokens?: string | { access_token: string };
+	workos_tokens?: string | GranolaTokens;
+	cognito_tokens?: string | GranolaTokens;
 }
 
 export interface GranolaAttachment {
@@ -17,14 +31,30 @@ export interface GranolaAttachment {
 	name?: string;
 }
 
+export interface ProseMirrorMark {
+	type: string;
+	attrs?: {
+		href?: string;
+		title?: string | null;
+	};
+}
+
 export interface ProseMirrorNode {
 	type: string;
 	content?: ProseMirrorNode[];
 	text?: string;
+	marks?: ProseMirrorMark[];
 	attrs?: {
 		id?: string;
 		level?: number;
 		tight?: boolean;
+		start?: number;
+		checked?: boolean;
+		language?: string | null;
+		label?: string | null;
+		src?: string;
+		alt?: string | null;
+		title?: string | null;
 	};
 }
 
@@ -89,6 +119,8 @@ export interface GranolaCalendarEvent {
 	organizer?: {
 		email?: string;
 	};
+	recurringEventId?: string;
+	recurrence?: string[];
 }
 
 export interface GranolaPeople {
@@ -133,6 +165,8 @@ export interface TranscriptSegment {
 
 export type AttendeeFilter = 'all' | 'accepted' | 'accepted_tentative' | 'exclude_declined';
 export type ExistingFileAction = 'timestamp' | 'skip';
+export type SyncReportMode = 'off' | 'latest' | 'append';
+export type MissingDocumentAction = 'keep' | 'tag' | 'archive';
 
 export interface FrontmatterFieldConfig {
 	key: string;
@@ -144,10 +178,33 @@ export interface PlatformMapping {
 	platform: string;
 }
 
+export interface PersonMapping {
+	email: string;
+	note: string;
+}
+
+export type RoutingMatch = 'title' | 'domain' | 'org' | 'source' | 'recurring' | 'date';
+
+export interface RoutingRule {
+	match: RoutingMatch;
+	value: string;
+	folder: string;
+	filenameTemplate: string;
+}
+
+export interface TemplateRule {
+	titlePattern: string;
+	folder: string;
+	templatePath: string;
+}
+
 export interface GranolaSyncSettings {
 	syncDirectory: string;
 	authKeyPath: string;
+	apiBaseUrl: string;
+	saveRefreshedTokens: boolean;
 	filenameTemplate: string;
+	routingRules: RoutingRule[];
 	dateFormat: string;
 	autoSyncFrequency: number;
 	skipExistingNotes: boolean;
@@ -155,6 +212,18 @@ export interface GranolaSyncSettings {
 	filenameSeparator: string;
 	slashReplacement: string;
 	documentSyncLimit: number;
+	includeTitlePattern: string;
+	excludeTitlePattern: string;
+	includeDomains: string;
+	excludeDomains: string;
+	syncFromDate: string;
+	syncToDate: string;
+	skipPrivateMeetings: boolean;
+	skipInvalidMeetings: boolean;
+	minContentLength: number;
+	missingDocumentAction: MissingDocumentAction;
+	missingDocumentTag: string;
+	archiveFolder: string;
 	includeFullTranscript: boolean;
 	includeMyNotes: boolean;
 	includeEnhancedNotes: boolean;
@@ -173,10 +242,64 @@ export interface GranolaSyncSettings {
 	enableDailyNoteIntegration: boolean;
 	dailyNoteSectionName: string;
 	frontmatterFields: FrontmatterFieldConfig[];
+	noteTemplatePath: string;
+	templateRules: TemplateRule[];
+	extractActionItems: boolean;
+	actionItemHeadings: string;
+	enableMeetingTasksNote: boolean;
+	meetingTasksNotePath: string;
+	syncReportMode: SyncReportMode;
+	syncReportPath: string;
+	forceResyncDays: number;
+	peopleFolder: string;
+	personMappings: PersonMapping[];
+	createPersonNotes: boolean;
+	personNoteTemplatePath: string;
+	orgFolder: string;
+	createOrgNotes: boolean;
+	orgNoteTemplatePath: string;
 }
 
 // Internal Types
 
+export interface SyncIndexEntry {
+	path: string;
+	title: string;
+	createdAt: string;
+	updatedAt: string;
+}
+
+export interface SyncIndexData {
+	version: number;
+	watermark: string | null;
+	/** Hash of the note content settings the indexed notes were written with */
+	settingsFingerprint: string | null;
+	entries: Record<string, SyncIndexEntry>;
+}
+
+export interface Attendee {
+	name: string;
+	email: string | null;
+}
+
+export interface Company {
+	name: string;
+	domain: string | null;
+}
+
+export type SyncAction = 'create' | 'update' | 'skip' | 'conflict' | 'failed';
+
+/**
+ * What happened (or, in a dry run, would happen) to one document
+ */
+export interface SyncResult {
+	docId: string;
+	title: string;
+	action: SyncAction;
+	reason: string;
+	path: string | null;
+}
+
 export interface TodaysNote {
 	title: string;
 	actualFilePath: string;
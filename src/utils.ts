@@ -1,4 +1,4 @@
-import type { JsonParseResult, ProseMirrorNode, TranscriptSegment } from './types';
+import type { JsonParseResult, TranscriptSegment } from './types';
 import { CONTENT_TYPE_TO_EXTENSION } from './constants';
 
 /**
@@ -50,6 +50,13 @@ export function formatDate(date: string | Date, format: string): string {
 		.replace(/ss/g, seconds);
 }
 
+/**
+ * Check whether an ISO timestamp is strictly later than another
+ */
+export function isNewerTimestamp(timestamp: string, reference: string): boolean {
+	return new Date(timestamp).getTime() > new Date(reference).getTime();
+}
+
 /**
  * Format an ISO date string for datetime property (YYYY-MM-DDTHH:mm)
  */
@@ -206,108 +213,6 @@ export function convertGermanUmlauts(name: string): string {
 	}).join('');
 }
 
-/**
- * Convert ProseMirror document to Markdown
- */
-export function convertProseMirrorToMarkdown(content: ProseMirrorNode): string {
-	if (!content || typeof content !== 'object' || !content.content) {
-		return '';
-	}
-
-	const processNode = (node: ProseMirrorNode, indentLevel = 0): string => {
-		if (!node || typeof node !== 'object') {
-			return '';
-		}
-
-		const nodeType = node.type || '';
-		const nodeContent = node.content || [];
-		const text = node.text || '';
-
-		if (nodeType === 'heading') {
-			const level = node.attrs?.level ?? 1;
-			const headingText = nodeContent.map(child => processNode(child, indentLevel)).join('');
-			return '#'.repeat(level) + ' ' + headingText + '\n\n';
-		} else if (nodeType === 'paragraph') {
-			const paraText = nodeContent.map(child => processNode(child, indentLevel)).join('');
-			return paraText + '\n\n';
-		} else if (nodeType === 'bulletList') {
-			const items: string[] = [];
-			for (const item of nodeContent) {
-				if (item.type === 'listItem') {
-					const processedItem = processListItem(item, indentLevel);
-					if (processedItem) {
-						items.push(processedItem);
-					}
-				}
-			}
-			return items.join('\n') + '\n\n';
-		} else if (nodeType === 'text') {
-			return text;
-		} else {
-			return nodeContent.map(child => processNode(child, indentLevel)).join('');
-		}
-	};
-
-	return processNode(content);
-}
-
-/**
- * Process a list item node to markdown
- */
-function processListItem(listItem: ProseMirrorNode, indentLevel = 0): string {
-	if (!listItem || !listItem.content) {
-		return '';
-	}
-
-	const indent = '  '.repeat(indentLevel);
-	let itemText = '';
-	let hasNestedLists = false;
-
-	for (const child of listItem.content) {
-		if (child.type === 'paragraph') {
-			const paraText = (child.content || []).map(node => {
-				if (node.type === 'text') {
-					return node.text || '';
-				}
-				return '';
-			}).join('').trim();
-			if (paraText) {
-				itemText += paraText;
-			}
-		} else if (child.type === 'bulletList') {
-			hasNestedLists = true;
-			const nestedItems: string[] = [];
-			for (const nestedItem of child.content || []) {
-				if (nestedItem.type === 'listItem') {
-					const nestedProcessed = processListItem(nestedItem, indentLevel + 1);
-					if (nestedProcessed) {
-						nestedItems.push(nestedProcessed);
-					}
-				}
-			}
-			if (nestedItems.length > 0) {
-				itemText += '\n' + nestedItems.join('\n');
-			}
-		}
-	}
-
-	if (!itemText.trim()) {
-		return '';
-	}
-
-	const mainBullet = indent + '- ' + itemText.split('\n')[0];
-
-	if (hasNestedLists) {
-		const lines = itemText.split('\n');
-		if (lines.length > 1) {
-			const nestedLines = lines.slice(1).join('\n');
-			return mainBullet + '\n' + nestedLines;
-		}
-	}
-
-	return mainBullet;
-}
-
 /**
  * Get file extension from attachment type or content type
  */
@@ -413,3 +318,44 @@ export function extractCompanyFromEmail(email: string): string | null {
 
 	return formatted || null;
 }
+
+/**
+ * Compute a short, stable hash of a string (FNV-1a, 32-bit)
+ * Used to detect content changes, not for security
+ */
+export function hashContent(content: string): string {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < content.length; i++) {
+		hash ^= content.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping the input order
+ * The worker should handle its own errors; a rejection fails the whole map.
+ */
+export async function mapWithConcurrency<T, R>(
+	items: T[],
+	limit: number,
+	worker: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+	const results: R[] = new Array(items.length);
+	let next = 0;
+
+	const run = async (): Promise<void> => {
+		while (next < items.length) {
+			const index = next++;
+			results[index] = await worker(items[index], index);
+		}
+	};
+
+	const runners: Promise<void>[] = [];
+	for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) {
+		runners.push(run());
+	}
+	await Promise.all(runners);
+
+	return results;
+}
@@ -0,0 +1,131 @@
+import { describe, expect, it } from 'vitest';
+import { extractActionItems, findOwner, parseDueDate } from '../src/action-items';
+import type { ProseMirrorNode } from '../src/types';
+
+const MEETING_DATE = new Date(2026, 2, 2);
+
+function bold(text: string): ProseMirrorNode {
+	return { type: 'paragraph', content: [{ type: 'text', text, marks: [{ type: 'bold' }] }] };
+}
+
+function heading(text: string, level: number): ProseMirrorNode {
+	return { type: 'heading', attrs: { level }, content: [{ type: 'text', text }] };
+}
+
+function list(...items: string[]): ProseMirrorNode {
+	return {
+		type: 'bulletList',
+		content: items.map(text => ({ type: 'listItem', content: [{ type: 'paragraph', content: [{ type: 'text', text }] }] })),
+	};
+}
+
+function extract(...nodes: ProseMirrorNode[]) {
+	return extractActionItems({ type: 'doc', content: nodes }, {
+		headings: ['Action items', 'Next steps'],
+		attendeeNames: ['Jan Smith', 'Jane Doe'],
+		meetingDate: MEETING_DATE,
+	});
+}
+
+describe('parseDueDate', () => {
+	it.each([
+		['Send deck by Feb 20', '2027-02-20'],
+		['Send deck by March 10th', '2026-03-10'],
+		['Send deck by 10 March', '2026-03-10'],
+		['Send deck by the 3rd of Sept.', '2026-09-03'],
+		['Send deck by Dec. 2', '2026-12-02'],
+		['Send deck May 5', '2026-05-05'],
+		['Send deck by may 5', '2026-05-05'],
+		['Send deck by 2026-04-01', '2026-04-01'],
+		['Send deck tomorrow', '2026-03-03'],
+		['Send deck by Friday', '2026-03-06'],
+	])('reads "%s" as %s', (text, expected) => {
+		expect(parseDueDate(text, MEETING_DATE)).toBe(expected);
+	});
+
+	it.each([
+		'Decide 2 options for pricing',
+		'Review the market 10 competitors',
+		'Separate 3 workstreams',
+		'Jane may 5 times retry',
+		'Update the 4 junk filters',
+	])('finds no date in "%s"', (text) => {
+		expect(parseDueDate(text, MEETING_DATE)).toBeNull();
+	});
+});
+
+describe('findOwner', () => {
+	const names = ['Jan Smith', 'Jane Doe'];
+
+	it.each([
+		['Jan to send the deck', 'Jan Smith'],
+		['Jane: book the room', 'Jane Doe'],
+		['Jane – book the room', 'Jane Doe'],
+		['Jane Doe will follow up', 'Jane Doe'],
+		['Follow up with legal (Jan)', 'Jan Smith'],
+		['Ping @Jane about pricing', 'Jane Doe'],
+		['Owner: Jan', 'Jan Smith'],
+	])('assigns "%s" to %s', (text, expected) => {
+		expect(findOwner(text, names)).toBe(expected);
+	});
+
+	it.each([
+		'Jan-Erik to send the deck',
+		'Janet will book the room',
+		'Send the deck',
+	])('assigns "%s" to nobody', (text) => {
+		expect(findOwner(text, names)).toBeNull();
+	});
+});
+
+describe('extractActionItems', () => {
+	it('turns lists under an action heading into tasks', () => {
+		const { items } = extract(heading('Action items', 2), list('Jan to send deck by Friday'));
+
+		expect(items).toEqual([{
+			text: 'Jan to send deck by Friday',
+			owner: 'Jan Smith',
+			due: '2026-03-06',
+			markdown: '- [ ] Jan to send deck by Friday [[Jan Smith]] 📅 2026-03-06',
+		}]);
+	});
+
+	it('ends a bold paragraph section at the next bold paragraph', () => {
+		const { content, items } = extract(bold('Action items'), list('Send deck'), bold('Decisions'), list('Go with vendor A'));
+
+		expect(items.map(item => item.text)).toEqual(['Send deck']);
+		expect(content.content?.[3].type).toBe('bulletList');
+	});
+
+	it('ends a heading section at a heading of the same level', () => {
+		const { items } = extract(heading('Next steps', 2), list('Send deck'), heading('Notes', 2), list('Vendor A is cheaper'));
+
+		expect(items.map(item => item.text)).toEqual(['Send deck']);
+	});
+
+	it('assigns items below a per-person sub-heading', () => {
+		const { items } = extract(heading('Action items', 2), heading('Jane', 3), list('Book the room'));
+
+		expect(items[0].owner).toBe('Jane Doe');
+	});
+
+	it('resolves owners through resolveOwner', () => {
+		const { items } = extractActionItems({ type: 'doc', content: [heading('Action items', 2), list('Jan to send deck')] }, {
+			headings: ['Action items'],
+			attendeeNames: ['Jan Smith'],
+			resolveOwner: name => 'People/' + name,
+			meetingDate: MEETING_DATE,
+		});
+
+		expect(items[0].markdown).toBe('- [ ] Jan to send deck [[People/Jan Smith]]');
+	});
+
+	it('leaves the original document unchanged', () => {
+		const doc: ProseMirrorNode = { type: 'doc', content: [heading('Action items', 2), list('Send deck')] };
+		const before = JSON.stringify(doc);
+
+		extractActionItems(doc, { headings: ['Action items'], attendeeNames: [], meetingDate: MEETING_DATE });
+
+		expect(JSON.stringify(doc)).toBe(before);
+	});
+});
@@ -0,0 +1,166 @@
+import { describe, expect, it } from 'vitest';
+import {
+	mergeFrontmatter,
+	mergeManagedBlocks,
+	mergeNote,
+	splitFrontmatter,
+	upsertManagedBlock,
+	wrapManagedBlock,
+} from '../src/note-merge';
+
+const notes = (markdown: string) => wrapManagedBlock('enhanced_notes', markdown);
+const transcript = (markdown: string) => wrapManagedBlock('transcript', markdown);
+
+function editBlock(body: string, from: string, to: string): string {
+	return body.replace(from, to);
+}
+
+describe('mergeManagedBlocks', () => {
+	it('replaces blocks that were not edited and keeps text outside the markers', () => {
+		const existing = '# My heading\n\n' + notes('Old summary') + '\n\nMy own notes\n';
+		const result = mergeManagedBlocks(existing, notes('New summary') + '\n');
+
+		expect(result).toEqual({ content: '# My heading\n\n' + notes('New summary') + '\n\nMy own notes\n', conflicts: [] });
+	});
+
+	it('keeps a locally edited block without a conflict while Granola has not changed it', () => {
+		const existing = editBlock(notes('Summary'), 'Summary', 'Summary, with my correction');
+		const result = mergeManagedBlocks(existing, notes('Summary'));
+
+		expect(result).toEqual({ content: existing, conflicts: [] });
+	});
+
+	it('reports a conflict when a locally edited block also changed in Granola', () => {
+		const existing = editBlock(notes('Summary'), 'Summary', 'Summary, with my correction');
+		const result = mergeManagedBlocks(existing, notes('Updated summary'));
+
+		expect(result).toEqual({ content: existing, conflicts: ['enhanced_notes'] });
+	});
+
+	it('does not report a conflict when the local edit already matches Granola', () => {
+		const existing = editBlock(notes('Summary'), 'Summary', 'Updated summary');
+		const result = mergeManagedBlocks(existing, notes('Updated summary'));
+
+		expect(result.conflicts).toEqual([]);
+	});
+
+	it('treats checked tasks as unedited and keeps them checked', () => {
+		const existing = editBlock(notes('- [ ] Send deck\n- [ ] Book room'), '- [ ] Send deck', '- [x] Send deck');
+		const result = mergeManagedBlocks(existing, notes('- [ ] Send deck\n- [ ] Book room\n- [ ] Call Jane'));
+
+		expect(result.conflicts).toEqual([]);
+		expect(result.content).toContain('- [x] Send deck\n- [ ] Book room\n- [ ] Call Jane');
+	});
+
+	it('does not treat rewritten link targets as local edits', () => {
+		const existing = editBlock(notes('Met [[Jane Doe]] about [spec](Specs/spec.md)'), '[[Jane Doe', '[[People/Jane Doe')
+			.replace('](Specs/spec.md)', '](Archive/spec.md)');
+		const result = mergeManagedBlocks(existing, notes('Met [[Jane Doe]] about the new [spec](Specs/spec.md)'));
+
+		expect(result).toEqual({ content: notes('Met [[Jane Doe]] about the new [spec](Specs/spec.md)'), conflicts: [] });
+	});
+
+	it('drops blocks that are no longer generated', () => {
+		const existing = notes('Summary') + '\n\n' + transcript('Old transcript') + '\n\nMy own notes\n';
+		const result = mergeManagedBlocks(existing, notes('Summary'));
+
+		expect(result.content).toBe(notes('Summary') + '\n\nMy own notes\n');
+	});
+
+	it('inserts new blocks after the preceding block', () => {
+		const attachments = wrapManagedBlock('attachments', '![[image.png]]');
+		const result = mergeManagedBlocks(notes('Summary') + '\n\nMy own notes\n', notes('Summary') + '\n\n' + attachments);
+
+		expect(result.content).toBe(notes('Summary') + '\n\n' + attachments + '\n\nMy own notes\n');
+	});
+
+	it('replaces notes without any markers entirely', () => {
+		expect(mergeManagedBlocks('Synced by an old version', notes('Summary'))).toEqual({ content: notes('Summary'), conflicts: [] });
+	});
+
+	it('keeps the quote prefix of blocks inside callouts', () => {
+		const existing = '> [!note]\n> ' + wrapManagedBlock('enhanced_notes', 'One\nTwo', '> ');
+		const result = mergeManagedBlocks(existing, '> [!note]\n> ' + wrapManagedBlock('enhanced_notes', 'One\nThree', '> '));
+
+		expect(result.content).toBe('> [!note]\n> ' + wrapManagedBlock('enhanced_notes', 'One\nThree', '> '));
+	});
+});
+
+describe('upsertManagedBlock', () => {
+	const tasks = (markdown: string) => wrapManagedBlock('tasks-abc', markdown);
+
+	it('appends a missing block', () => {
+		expect(upsertManagedBlock('# Tasks\n', tasks('- [ ] Send deck'))).toBe('# Tasks\n\n' + tasks('- [ ] Send deck') + '\n');
+	});
+
+	it('replaces an unedited block', () => {
+		const body = '# Tasks\n\n' + tasks('- [ ] Send deck') + '\n';
+
+		expect(upsertManagedBlock(body, tasks('- [ ] Send deck\n- [ ] Book room'))).toBe('# Tasks\n\n' + tasks('- [ ] Send deck\n- [ ] Book room') + '\n');
+	});
+
+	it('leaves an edited block alone while Granola has not changed it', () => {
+		const body = editBlock(tasks('- [ ] Send deck'), 'Send deck', 'Send deck to Jane');
+
+		expect(upsertManagedBlock(body, tasks('- [ ] Send deck'))).toBe(body);
+	});
+
+	it('returns null when an edited block also changed in Granola', () => {
+		const body = editBlock(tasks('- [ ] Send deck'), 'Send deck', 'Send deck to Jane');
+
+		expect(upsertManagedBlock(body, tasks('- [ ] Send the new deck'))).toBeNull();
+	});
+});
+
+describe('mergeFrontmatter', () => {
+	it('unions tags and topics so user additions survive', () => {
+		const merged = mergeFrontmatter({ tags: ['meeting', 'mine'], topics: 'Pricing' }, { tags: ['meeting', 'granola'], topics: ['Hiring'] });
+
+		expect(merged).toEqual({ tags: ['meeting', 'mine', 'granola'], topics: ['Pricing', 'Hiring'] });
+	});
+
+	it('replaces other lists with the generated ones', () => {
+		const merged = mergeFrontmatter({ people: ['[[Jane Doe]]', '[[Bob Smith]]'], org: '[[Old Org]]' }, { people: ['[[Jane Doe]]'], org: ['[[Acme]]'] });
+
+		expect(merged).toEqual({ people: ['[[Jane Doe]]'], org: ['[[Acme]]'] });
+	});
+
+	it('clears a generated list that became empty', () => {
+		expect(mergeFrontmatter({ people: ['[[Jane Doe]]'] }, { people: [] })).toEqual({ people: null });
+	});
+
+	it('overwrites scalars but never clears a user value with an empty placeholder', () => {
+		const merged = mergeFrontmatter({ title: 'Old', loc: 'Office', rating: 5 }, { title: 'New', loc: '', category: null });
+
+		expect(merged).toEqual({ title: 'New', loc: 'Office', rating: 5, category: null });
+	});
+
+	it('only merges the given keys', () => {
+		expect(mergeFrontmatter({ title: 'Old', noteEnded: '1' }, { title: 'New', noteEnded: '2' }, ['noteEnded'])).toEqual({ title: 'Old', noteEnded: '2' });
+	});
+});
+
+describe('splitFrontmatter', () => {
+	it('splits frontmatter from the body', () => {
+		expect(splitFrontmatter('---\ntitle: A\n---\nBody')).toEqual({ frontmatter: 'title: A', body: 'Body' });
+	});
+
+	it('returns the whole content as body without frontmatter', () => {
+		expect(splitFrontmatter('Body')).toEqual({ frontmatter: null, body: 'Body' });
+	});
+});
+
+describe('mergeNote', () => {
+	it('records conflicts in granola_conflict and clears them once resolved', () => {
+		const edited = '---\n{"title":"A"}\n---\n' + editBlock(notes('Summary'), 'Summary', 'My summary');
+		const conflicted = mergeNote(edited, '---\n{"title":"B"}\n---\n', notes('New summary'));
+
+		expect(conflicted.conflicts).toEqual(['enhanced_notes']);
+		expect(splitFrontmatter(conflicted.content).frontmatter).toBe('{"title":"B","granola_conflict":["enhanced_notes"]}');
+
+		const resolved = mergeNote(conflicted.content.replace('My summary', 'Summary'), '---\n{"title":"B"}\n---\n', notes('New summary'));
+
+		expect(resolved.conflicts).toEqual([]);
+		expect(resolved.content).toBe('---\n{"title":"B"}\n---\n' + notes('New summary'));
+	});
+});
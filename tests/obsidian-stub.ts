@@ -0,0 +1,13 @@
+/**
+ * Runtime stand-in for the parts of the Obsidian API used by pure modules
+ * Frontmatter in tests is written as JSON, which is also valid YAML.
+ */
+export const Platform = { isWin: false, isLinux: false };
+
+export function parseYaml(text: string): unknown {
+	return text.trim() ? JSON.parse(text) : null;
+}
+
+export function stringifyYaml(data: unknown): string {
+	return JSON.stringify(data) + '\n';
+}
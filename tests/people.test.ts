@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { addMeetingToList } from '../src/people';
+
+const MEETING = 'Notes/2026/Weekly sync.md';
+const ENTRY = '- [[Notes/2026/Weekly sync|Weekly sync]] (2026-02-20)';
+
+/** Resolves links like Obsidian would, with the meeting note as the only note named "Weekly sync" */
+function isMeetingLink(linkpath: string): boolean {
+	const path = linkpath.replace(/\.md$/, '') + '.md';
+	return path === MEETING || path === 'Weekly sync.md';
+}
+
+describe('addMeetingToList', () => {
+	it('adds the entry to the end of the Meetings section', () => {
+		const content = '# Jane Doe\n\n## Meetings\n- [[Kickoff]]\n\n## Notes\nLikes tea\n';
+
+		expect(addMeetingToList(content, ENTRY, isMeetingLink)).toBe('# Jane Doe\n\n## Meetings\n- [[Kickoff]]\n' + ENTRY + '\n\n## Notes\nLikes tea\n');
+	});
+
+	it('adds the first entry below the heading', () => {
+		expect(addMeetingToList('# Jane Doe\n\n## Meetings\n', ENTRY, isMeetingLink)).toBe('# Jane Doe\n\n## Meetings\n\n' + ENTRY + '\n');
+	});
+
+	it('returns null without a Meetings section', () => {
+		expect(addMeetingToList('# Jane Doe\n', ENTRY, isMeetingLink)).toBeNull();
+	});
+
+	it.each([
+		['the written link', ENTRY],
+		['a link rewritten to the shortest path', '- [[Weekly sync|Weekly sync]] (2026-02-20)'],
+		['a link to a heading', '- [[Weekly sync#Action items]]'],
+		['a Markdown link', '- [Weekly sync](Notes/2026/Weekly%20sync.md)'],
+	])('returns null when the note already has %s', (_, line) => {
+		expect(addMeetingToList('## Meetings\n' + line + '\n', ENTRY, isMeetingLink)).toBeNull();
+	});
+
+	it('does not mistake a link to another meeting for the same one', () => {
+		const content = '## Meetings\n- [[Notes/2026/Weekly sync 2|Weekly sync 2]]\n';
+
+		expect(addMeetingToList(content, ENTRY, isMeetingLink)).toBe(content.replace(/\n$/, '\n' + ENTRY + '\n'));
+	});
+});
@@ -0,0 +1,28 @@
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { describe, expect, it } from 'vitest';
+import { convertProseMirrorToMarkdown } from '../src/prosemirror';
+import type { ProseMirrorNode } from '../src/types';
+
+/**
+ * Each fixture is a ProseMirror document as returned by the Granola API
+ * (<name>.json) next to the Markdown it must convert to (<name>.md)
+ */
+const FIXTURE_DIR = join(__dirname, 'fixtures', 'prosemirror');
+
+const fixtures = readdirSync(FIXTURE_DIR)
+	.filter(file => file.endsWith('.json'))
+	.map(file => file.replace(/\.json$/, ''));
+
+describe('convertProseMirrorToMarkdown', () => {
+	it.each(fixtures)('converts %s', (name) => {
+		const doc = JSON.parse(readFileSync(join(FIXTURE_DIR, name + '.json'), 'utf8')) as ProseMirrorNode;
+		const expected = readFileSync(join(FIXTURE_DIR, name + '.md'), 'utf8');
+
+		expect(convertProseMirrorToMarkdown(doc) + '\n').toBe(expected);
+	});
+
+	it('returns an empty string for an empty document', () => {
+		expect(convertProseMirrorToMarkdown({ type: 'doc', content: [] })).toBe('');
+	});
+});
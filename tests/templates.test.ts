@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { wrapManagedBlock } from '../src/note-merge';
+import { ManagedSection, formatTemplateDate, parseTemplate, renderTemplate } from '../src/templates';
+
+describe('renderTemplate', () => {
+	it('fills in variables and nested values', () => {
+		const context = { title: 'Weekly sync', calendar: { description: 'Agenda' } };
+
+		expect(renderTemplate('# {{title}}\n{{ calendar.description }}', context)).toBe('# Weekly sync\nAgenda');
+	});
+
+	it('renders missing values and objects as empty text and joins lists', () => {
+		expect(renderTemplate('[{{missing}}][{{calendar}}][{{attendees}}]', { calendar: {}, attendees: ['Jane', 'Bob'] })).toBe('[][][Jane, Bob]');
+	});
+
+	it('formats dates', () => {
+		const date = new Date(2026, 1, 20, 9, 5);
+
+		expect(renderTemplate('{{date:YYYY-MM-DD HH:mm}}', { date })).toBe('2026-02-20 09:05');
+	});
+
+	it('renders conditionals without leaving blank lines', () => {
+		const template = 'A\n{{#if org}}\nOrg: {{org}}\n{{else}}\nNo org\n{{/if}}\n{{#unless attendees}}\nNobody\n{{/unless}}\nB';
+
+		expect(renderTemplate(template, { org: 'Acme', attendees: [] })).toBe('A\nOrg: Acme\nNobody\nB');
+		expect(renderTemplate(template, { org: '  ', attendees: ['Jane'] })).toBe('A\nNo org\nB');
+	});
+
+	it('loops over lists with this, @index and @number', () => {
+		const template = '{{#each attendees}}\n{{@number}}. {{name}} ({{@index}}) {{this.email}}\n{{/each}}';
+		const attendees = [{ name: 'Jane', email: 'jane@acme.com' }, { name: 'Bob', email: 'bob@acme.com' }];
+
+		expect(renderTemplate(template, { attendees })).toBe('1. Jane (0) jane@acme.com\n2. Bob (1) bob@acme.com\n');
+	});
+
+	it('wraps managed sections in marker comments', () => {
+		const section = new ManagedSection('enhanced_notes', '## Summary\nShipped it\n');
+
+		expect(renderTemplate('{{enhanced_notes}}', { enhanced_notes: section })).toBe(wrapManagedBlock('enhanced_notes', '## Summary\nShipped it'));
+	});
+
+	it('leaves out empty managed sections and treats them as false', () => {
+		const context = { transcript: new ManagedSection('transcript', '') };
+
+		expect(renderTemplate('{{#if transcript}}\n{{transcript}}\n{{/if}}\nEnd', context)).toBe('End');
+	});
+
+	it('repeats the line prefix on continuation lines, so values fit in callouts', () => {
+		const context = { notes: 'One\nTwo', enhanced_notes: new ManagedSection('enhanced_notes', 'Three\nFour') };
+
+		expect(renderTemplate('> [!note]\n> {{notes}}', context)).toBe('> [!note]\n> One\n> Two');
+		expect(renderTemplate('> {{enhanced_notes}}', context)).toBe('> ' + wrapManagedBlock('enhanced_notes', 'Three\nFour', '> '));
+	});
+});
+
+describe('parseTemplate', () => {
+	it.each([
+		['{{#if title}}', 'Unclosed {{#if}} in template'],
+		['{{/if}}', 'Unexpected {{/if}} in template'],
+		['{{#each people}}{{/if}}', 'Unexpected {{/if}} in template'],
+		['{{else}}', 'Unexpected {{else}} in template'],
+	])('rejects %s', (template, message) => {
+		expect(() => parseTemplate(template)).toThrow(message);
+	});
+});
+
+describe('formatTemplateDate', () => {
+	it('formats day and month names', () => {
+		expect(formatTemplateDate('2026-02-20T09:05:00', 'dddd, MMMM D')).toBe('Friday, February 20');
+	});
+
+	it('returns an empty string for invalid dates', () => {
+		expect(formatTemplateDate('not a date', 'YYYY')).toBe('');
+	});
+});
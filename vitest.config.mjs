@@ -0,0 +1,11 @@
+import { fileURLToPath } from "url";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+	resolve: {
+		// The obsidian package only ships type definitions
+		alias: {
+			obsidian: fileURLToPath(new URL("./tests/obsidian-stub.ts", import.meta.url)),
+		},
+	},
+});